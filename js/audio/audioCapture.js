@@ -1,4 +1,5 @@
 import config from '../config.js';
+import logger from '../logger.js';
 
 class AudioCapture {
     constructor() {
@@ -47,10 +48,10 @@ class AudioCapture {
             this.source.connect(this.workletNode);
             this.workletNode.connect(this.audioContext.destination);
             
-            console.log('Audio capture initialized');
+            logger.info('Audio capture initialized');
             return true;
         } catch (error) {
-            console.error('Failed to initialize audio capture:', error);
+            logger.error('Failed to initialize audio capture', { error });
             throw error;
         }
     }
@@ -66,13 +67,13 @@ class AudioCapture {
         
         this.onAudioData = onAudioCallback;
         this.isCapturing = true;
-        console.log('Audio capture started');
+        logger.info('Audio capture started');
     }
     
     stop() {
         this.isCapturing = false;
         this.onAudioData = null;
-        console.log('Audio capture stopped');
+        logger.info('Audio capture stopped');
     }
     
     getContext() {
@@ -108,7 +109,7 @@ class AudioCapture {
             this.audioContext = null;
         }
         
-        console.log('Audio capture cleaned up');
+        logger.info('Audio capture cleaned up');
     }
 }
 
@@ -1,4 +1,5 @@
 import config from '../config.js';
+import logger from '../logger.js';
 
 class AudioPlayback {
     constructor() {
@@ -39,10 +40,10 @@ class AudioPlayback {
             
             this.workletNode.connect(this.audioContext.destination);
             
-            console.log('Audio playback initialized');
+            logger.info('Audio playback initialized');
             return true;
         } catch (error) {
-            console.error('Failed to initialize audio playback:', error);
+            logger.error('Failed to initialize audio playback', { error });
             throw error;
         }
     }
@@ -103,7 +104,7 @@ class AudioPlayback {
             this.workletNode = null;
         }
         
-        console.log('Audio playback cleaned up');
+        logger.info('Audio playback cleaned up');
     }
 }
 
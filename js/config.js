@@ -1,3 +1,5 @@
+import logger from './logger.js';
+
 class Config {
     constructor() {
         this.audio = {
@@ -18,14 +20,27 @@ class Config {
         this.wakeWord = {
             phrase: 'hey quantum',
             sensitivity: 0.5,
-            cooldownMs: 1000
+            cooldownMs: 1000,
+            keywordPath: 'Hey-Quantum_en_wasm_v4_0_0.ppn',
+            modelPath: 'porcupine_params.pv'
+        };
+        
+        // Proxy that serves /config, /porcupine-key and the WebSockets. The
+        // proxy normally serves this page too; when the page is hosted
+        // elsewhere, point it at the proxy with ?server=https://host:port
+        this.server = {
+            url: new URLSearchParams(window.location.search).get('server') || window.location.origin
         };
         
         this.websocket = {
             url: 'ws://localhost:8080',
             reconnectAttempts: 3,
             reconnectDelayMs: 1000,
-            heartbeatIntervalMs: 30000
+            heartbeatIntervalMs: 30000,
+            protocolVersion: 2,
+            binaryAudio: true,
+            // Carry STT and TTS over one `?service=session` socket
+            multiplexed: true
         };
         
         this.providers = {
@@ -33,14 +48,23 @@ class Config {
                 provider: 'Groq',
                 model: 'whisper-large-v3-turbo', 
                 language: 'en',
-                temperature: 0 
+                temperature: 0,
+                partialTranscripts: true,
+                // Sent as the transcription prompt; null for none
+                prompt: null,
+                // Bias recognition towards the knowledge base's names and terms
+                vocabulary: true
             },
             tts: {
                 provider: 'Google Standard', 
                 voice: 'en-US-Standard-F',
                 languageCode: 'en-US',
                 speakingRate: 1.15,
-                pitch: 0.0
+                pitch: 0.0,
+                // Voices the proxy lets the page pick (its TTS_VOICES allowlist)
+                voices: ['en-US-Standard-F'],
+                // Picked with ?voice=en-US-Wavenet-F
+                selectedVoice: new URLSearchParams(window.location.search).get('voice')
             }
         };
         
@@ -49,6 +73,20 @@ class Config {
             durationMs: 600, 
             maxSpeechDurationMs: 2000 
         };
+        
+        // For detailed transcripts: a transcript is dropped as silence when
+        // every segment is above maxNoSpeechProb and below minConfidence
+        // (e^-1, Whisper's own cut-off); words below lowConfidence are shown
+        // highlighted
+        this.transcriptQuality = {
+            maxNoSpeechProb: 0.6,
+            minConfidence: 0.37,
+            lowConfidence: 0.5
+        };
+        
+        this.logging = {
+            level: 'info'
+        };
     }
     
     isConfigured() {
@@ -56,8 +94,74 @@ class Config {
     }
     
 
-    getWebSocketURL(service) {
-        return `${this.websocket.url}?service=${service}`;
+    // Merges the deployment's settings from the proxy's /config endpoint.
+    // Falls back to the defaults above when the proxy cannot be reached.
+    async load() {
+        try {
+            const response = await fetch(this.getServerURL('/config'));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            this.merge(await response.json());
+            logger.info('Runtime configuration loaded from proxy');
+            return true;
+        } catch (error) {
+            logger.warn('Using built-in configuration, failed to load /config', { error });
+            return false;
+        }
+    }
+    
+
+    merge(overrides, target = this) {
+        for (const [key, value] of Object.entries(overrides || {})) {
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                target[key] && typeof target[key] === 'object') {
+                this.merge(value, target[key]);
+            } else {
+                target[key] = value;
+            }
+        }
+    }
+    
+
+    getServerURL(path) {
+        return new URL(path, this.server.url).toString();
+    }
+    
+
+    getWebSocketURL(service, token = null) {
+        const url = new URL(this.websocket.url);
+        url.searchParams.set('service', service);
+        if (token) {
+            url.searchParams.set('token', token);
+        }
+        return url.toString();
+    }
+    
+
+    // Voice options for `speak`: the picked voice when the proxy offers it,
+    // otherwise none so the proxy's default is used
+    getVoiceOptions() {
+        const { voice, voices, selectedVoice } = this.providers.tts;
+        
+        if (!selectedVoice || selectedVoice === voice) {
+            return null;
+        }
+        if (!voices.includes(selectedVoice)) {
+            logger.warn('Voice not offered by the proxy, using the default', { voice: selectedVoice, fallback: voice });
+            return null;
+        }
+        return { name: selectedVoice };
+    }
+    
+
+    getStartMessage() {
+        return {
+            type: 'start',
+            protocol: this.websocket.protocolVersion,
+            audioFrames: this.websocket.binaryAudio ? 'binary' : 'json'
+        };
     }
 }
 
@@ -0,0 +1,79 @@
+import config from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Structured logging for the page. Entries are JSON objects with the same
+ * fields as the proxy's logs (`time`, `level`, `msg`, `sessionId`,
+ * `turnId`), so one turn can be followed from the wake word through the
+ * proxy's STT and TTS lines.
+ */
+class Logger {
+    constructor() {
+        this.context = {};
+    }
+    
+
+    setContext(fields) {
+        this.context = { ...this.context, ...fields };
+    }
+    
+
+    // A turn runs from a wake word to the end of the spoken answer
+    startTurn() {
+        const turnId = createId();
+        this.setContext({ turnId });
+        return turnId;
+    }
+    
+
+    endTurn() {
+        this.setContext({ turnId: null });
+    }
+    
+
+    debug(msg, fields) {
+        return this.write('debug', msg, fields);
+    }
+    
+
+    info(msg, fields) {
+        return this.write('info', msg, fields);
+    }
+    
+
+    warn(msg, fields) {
+        return this.write('warn', msg, fields);
+    }
+    
+
+    error(msg, fields) {
+        return this.write('error', msg, fields);
+    }
+    
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < (LEVELS[config.logging.level] ?? LEVELS.info)) {
+            return null;
+        }
+        
+        const entry = { time: new Date().toISOString(), level, msg };
+        for (const [key, value] of Object.entries({ ...this.context, ...fields })) {
+            if (value !== undefined && value !== null) {
+                entry[key] = value instanceof Error ? { message: value.message, code: value.code } : value;
+            }
+        }
+        
+        console[level](JSON.stringify(entry));
+        return entry;
+    }
+}
+
+function createId() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+export default new Logger();
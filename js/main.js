@@ -5,7 +5,9 @@ import WakeWordDetector from './wakeword/wakewordDetector.js';
 import STTService from './services/sttService.js';
 import TTSService from './services/ttsService.js';
 import KnowledgeBase from './services/knowledgeBase.js';
+import { isLikelySilence, markLowConfidence } from './services/transcriptQuality.js';
 import UIController from './ui/uiController.js';
+import logger from './logger.js';
 
 class VoiceAssistant {
     constructor() {
@@ -16,13 +18,15 @@ class VoiceAssistant {
         this.wakeWordDetector = new WakeWordDetector();
         this.sttService = new STTService();
         this.ttsService = new TTSService();
-        this.knowledgeBase = new KnowledgeBase();
+        this.knowledgeBase = new KnowledgeBase({ log: logger });
         
       
         this.isRunning = false;
         this.isWaitingForWakeWord = false;
         this.isProcessing = false;
         this.currentTranscript = '';
+        this.turnId = null;
+        this.degradedServices = new Set();
         
        
         this.speechEndTime = null;
@@ -33,30 +37,41 @@ class VoiceAssistant {
         this.hasSpeech = false;
         this.silenceTriggered = false;
         this.audioStreamingStopped = false; 
-        this.silenceThreshold = 0.01;
-        this.silenceDuration = 600; 
         this.consecutiveSilenceFrames = 0;
-        this.requiredSilenceFrames = Math.floor(this.silenceDuration / 20); 
+        this.applySilenceConfig();
+    }
+    
+
+    applySilenceConfig() {
+        this.silenceThreshold = config.silenceDetection.threshold;
+        this.silenceDuration = config.silenceDetection.durationMs;
+        this.maxSpeechDuration = config.silenceDetection.maxSpeechDurationMs;
+        this.requiredSilenceFrames = Math.floor(this.silenceDuration / config.audio.chunkDurationMs);
     }
     
 
     async initialize() {
         try {
-            console.log('Initializing Qplus Voice Assistant (OPTIMIZED)...');
+            logger.info('Initializing Qplus Voice Assistant (OPTIMIZED)');
             
             
             this.ui.initialize();
             
+            await config.load();
+            this.applySilenceConfig();
             
             await this.knowledgeBase.load();
+            this.sttService.setTranscriptionOptions({
+                prompt: config.providers.stt.prompt,
+                vocabulary: config.providers.stt.vocabulary ? this.knowledgeBase.getVocabulary() : null
+            });
             
             
             this.setupEventListeners();
             
-            console.log('Application initialized successfully');
-            console.log(`Target latency: ${config.latency.targetMs}ms`);
+            logger.info('Application initialized successfully', { targetLatencyMs: config.latency.targetMs });
         } catch (error) {
-            console.error('Failed to initialize application:', error);
+            logger.error('Failed to initialize application', { error });
             this.ui.showError('Failed to initialize: ' + error.message);
         }
     }
@@ -93,15 +108,18 @@ class VoiceAssistant {
                 this.handleSpeechEnded();
             });
             
-            await this.ttsService.connect();
-            
-        
+            // Before connecting: the proxy reports degraded providers on `ready`
             this.ttsService.setCallbacks({
                 onAudioChunk: (audioData) => this.handleTTSAudioChunk(audioData),
                 onSpeechStarted: () => {},
                 onSpeechEnded: () => {},
-                onError: (error) => this.handleError(error)
+                onError: (error) => this.handleError(error),
+                onDegraded: (status) => this.handleDegraded('tts', status)
             });
+            this.sttService.onDegraded = (status) => this.handleDegraded('stt', status);
+            this.sttService.onCutoff = (cutoff) => this.handleCutoff(cutoff);
+            
+            await this.ttsService.connect();
             
             
             this.startWakeWordListening();
@@ -110,7 +128,7 @@ class VoiceAssistant {
             this.ui.log('Assistant started successfully');
             
         } catch (error) {
-            console.error('Failed to start assistant:', error);
+            logger.error('Failed to start assistant', { error });
             this.ui.showError('Failed to start: ' + error.message);
             this.cleanup();
         }
@@ -185,7 +203,7 @@ class VoiceAssistant {
         });
         
         this.isWaitingForWakeWord = true;
-        this.ui.log('Listening for wake word: "Hey Quantum"');
+        this.ui.log(`Listening for wake word: "${config.wakeWord.phrase}"`);
     }
     
 
@@ -211,6 +229,7 @@ class VoiceAssistant {
     
 
     async handleWakeWordDetected() {
+        this.turnId = logger.startTurn();
         this.ui.log('🎤 Wake word detected!');
         
         this.isWaitingForWakeWord = false;
@@ -229,45 +248,65 @@ class VoiceAssistant {
         await this.wakeWordDetector.stop();
         
         
-        await this.sttService.connect();
+        await this.sttService.connect(this.turnId);
         
 
         this.sttService.startTranscription(
-            (partial) => this.handlePartialTranscript(partial),
-            (final) => this.handleFinalTranscript(final),
+            (partial, segments) => this.handlePartialTranscript(partial, segments),
+            (final, result) => this.handleFinalTranscript(final, result),
             (error) => this.handleError(error)
         );
         
         
         setTimeout(() => {
             if (this.isProcessing && this.sttService.isActive() && !this.silenceTriggered) {
-                this.ui.log('⏱️ Max speech duration reached (2s)');
+                this.ui.log(`⏱️ Max speech duration reached (${this.maxSpeechDuration}ms)`);
                 this.audioStreamingStopped = true; 
                 this.speechEndTime = Date.now();
                 this.stopSpeechDetection();
             }
-        }, 2000); 
+        }, this.maxSpeechDuration); 
     }
     
 
-    handlePartialTranscript(text) {
+    // The proxy keeps at most LIMIT_MAX_UTTERANCE_SECONDS of audio; stop
+    // streaming and transcribe what it kept
+    handleCutoff({ maxMs }) {
+        this.ui.log(`✂️ Cut off after ${(maxMs / 1000).toFixed(1)}s (maximum utterance length)`, 'warning');
+        
+        if (this.isProcessing && this.sttService.isActive() && !this.silenceTriggered && !this.audioStreamingStopped) {
+            this.audioStreamingStopped = true;
+            this.speechEndTime = Date.now();
+            this.stopSpeechDetection();
+        }
+    }
+    
+
+    handlePartialTranscript(text, segments) {
         if (text && text.trim()) {
             this.ui.log(`Partial: ${text}`);
-            this.ui.showPartialTranscript(text);
+            this.ui.showPartialTranscript(text, segments);
             this.currentTranscript = text;
         }
     }
     
  
-    async handleFinalTranscript(text) {
+    async handleFinalTranscript(text, { noSpeech = false, segments = null, words = null } = {}) {
         if (!text || !text.trim()) {
-            this.ui.log('Empty transcript received');
+            this.ui.log(noSpeech ? 'No speech detected' : 'Empty transcript received');
+            this.returnToWakeWordListening();
+            return;
+        }
+        
+        // Whisper tends to make up a phrase for silence the proxy's VAD let through
+        if (isLikelySilence(segments, config.transcriptQuality)) {
+            this.ui.log(`No speech detected (dropped likely hallucination "${text}")`, 'warning');
             this.returnToWakeWordListening();
             return;
         }
         
         this.ui.log(`📝 Final transcript: ${text}`);
-        this.ui.showFinalTranscript(text);
+        this.ui.showFinalTranscript(text, words && markLowConfidence(text, words, config.transcriptQuality.lowConfidence));
         this.currentTranscript = text;
         
         this.sttService.stopTranscription();
@@ -288,10 +327,13 @@ class VoiceAssistant {
             this.responseStartTime = null;
             
         
-            this.ttsService.speak(text);
+            this.ttsService.speak(text, this.turnId, {
+                ssml: this.knowledgeBase.getSsml(text),
+                voice: config.getVoiceOptions()
+            });
             
         } catch (error) {
-            console.error('Failed to speak response:', error);
+            logger.error('Failed to speak response', { error });
             this.handleError(error);
             this.returnToWakeWordListening();
         }
@@ -313,13 +355,13 @@ class VoiceAssistant {
             this.ui.updateLatency(latency);
             
             if (latency <= config.latency.targetMs) {
-                this.ui.log(`🎯 EXCELLENT! Latency: ${latency}ms (Target: ${config.latency.targetMs}ms)`, 'info');
+                this.ui.log(`🎯 EXCELLENT! Latency: ${latency}ms (Target: ${config.latency.targetMs}ms)`, 'info', { latencyMs: latency });
             } else if (latency <= config.latency.warningMs) {
-                this.ui.log(`✅ Good latency: ${latency}ms (Warning threshold: ${config.latency.warningMs}ms)`, 'info');
+                this.ui.log(`✅ Good latency: ${latency}ms (Warning threshold: ${config.latency.warningMs}ms)`, 'info', { latencyMs: latency });
             } else if (latency <= config.latency.criticalMs) {
-                this.ui.log(`⚠️ High latency: ${latency}ms (Critical: ${config.latency.criticalMs}ms)`, 'warning');
+                this.ui.log(`⚠️ High latency: ${latency}ms (Critical: ${config.latency.criticalMs}ms)`, 'warning', { latencyMs: latency });
             } else {
-                this.ui.log(`❌ CRITICAL latency: ${latency}ms (Target: ${config.latency.targetMs}ms)`, 'error');
+                this.ui.log(`❌ CRITICAL latency: ${latency}ms (Target: ${config.latency.targetMs}ms)`, 'error', { latencyMs: latency });
             }
         }
     }
@@ -353,24 +395,82 @@ class VoiceAssistant {
             this.silenceTimer = null;
         }
         
+        // Leaving the turn early (error, timeout) must also stop the proxy
+        this.sttService.cancel();
         this.sttService.disconnect();
         
+        this.ttsService.cancel();
         this.audioPlayback.reset();
         
+        this.turnId = null;
+        logger.endTurn();
+        
         if (this.isRunning) {
             this.startWakeWordListening();
         }
     }
     
 
+    // Proxy errors carry a code from js/protocol/messages.js
     handleError(error) {
-        console.error('Error:', error);
-        this.ui.log(`Error: ${error.message}`, 'error');
+        this.ui.log(`Error: ${error.message}`, 'error', { code: error.code });
+        
+        let retryDelayMs = 1000;
+        
+        switch (error.code) {
+            case 'AUTH_FAILED':
+                // The proxy's provider credentials were refused; every turn would fail the same way
+                this.ui.showError('The speech service rejected the server\'s credentials. Please contact the administrator.');
+                this.stop();
+                return;
+                
+            case 'BAD_MESSAGE':
+            case 'UNSUPPORTED_VERSION':
+                this.ui.showError('This page is out of date with the server. Please reload.');
+                this.stop();
+                return;
+                
+            case 'BAD_OPTIONS':
+                // A voice, model or language the proxy does not offer; only this turn is lost
+                this.ui.log('The server refused this turn\'s voice or recognition settings', 'warning');
+                break;
+                
+            case 'BAD_AUDIO':
+                this.ui.log('Could not use that audio, please try again', 'warning');
+                retryDelayMs = 0;
+                break;
+                
+            case 'RATE_LIMITED':
+                // Rate-limited requests tell us when the proxy will accept them again
+                retryDelayMs = Math.max(retryDelayMs, error.retryAfterMs || 0);
+                this.ui.log(`Usage limit reached, resuming in ${Math.ceil(retryDelayMs / 1000)}s`, 'warning');
+                break;
+                
+            case 'UPSTREAM_TIMEOUT':
+            case 'UPSTREAM_UNAVAILABLE':
+                this.ui.log('Speech service is not responding, please try again', 'warning');
+                break;
+        }
         
         if (this.isRunning) {
             setTimeout(() => {
                 this.returnToWakeWordListening();
-            }, 1000);
+            }, retryDelayMs);
+        }
+    }
+    
+
+    // The proxy fell back from a service's primary provider, or recovered;
+    // reported on every `ready`, so only changes are logged
+    handleDegraded(service, { degraded, provider, reason }) {
+        const label = service.toUpperCase();
+        
+        if (degraded && !this.degradedServices.has(service)) {
+            this.degradedServices.add(service);
+            const via = provider ? ` via ${provider}` : '';
+            this.ui.log(`${label} running degraded${via}: ${reason || 'primary provider unavailable'}`, 'warning', { service, provider });
+        } else if (!degraded && this.degradedServices.delete(service)) {
+            this.ui.log(`${label} back on its primary provider`, 'info', { service });
         }
     }
     
@@ -380,6 +480,14 @@ class VoiceAssistant {
         this.isWaitingForWakeWord = false;
         this.isProcessing = false;
         
+        // Stop button: silence the proxy before tearing down playback
+        if (this.ttsService) {
+            this.ttsService.cancel();
+        }
+        if (this.sttService) {
+            this.sttService.cancel();
+        }
+        
         if (this.silenceTimer) {
             clearTimeout(this.silenceTimer);
             this.silenceTimer = null;
@@ -0,0 +1,233 @@
+/**
+ * Message schema shared by the page and the proxy: every message either side
+ * may send, per channel, with the type of each field. Both ends validate what
+ * they receive against it. Fields not listed are allowed, so either side can
+ * add one before the other knows about it.
+ *
+ * Field spec: { type, required?, values?, maxLength?, min? }, where type is
+ * a `typeof` result, 'integer' or 'array'. `null` counts as absent for
+ * optional fields.
+ */
+
+/**
+ * Stable error codes carried by `error` messages. `retryable` tells the
+ * client whether trying again (after `retryAfterMs`, when given) can succeed.
+ * `fatal` errors fail every later turn the same way; the others only end
+ * the turn they belong to.
+ */
+export const ERROR_CODES = {
+    BAD_MESSAGE: { retryable: false, fatal: true },
+    UNSUPPORTED_VERSION: { retryable: false, fatal: true },
+    BAD_OPTIONS: { retryable: false, fatal: false },
+    BAD_AUDIO: { retryable: false, fatal: false },
+    AUTH_FAILED: { retryable: false, fatal: true },
+    RATE_LIMITED: { retryable: true, fatal: false },
+    UPSTREAM_TIMEOUT: { retryable: true, fatal: false },
+    UPSTREAM_UNAVAILABLE: { retryable: true, fatal: false },
+    UPSTREAM_ERROR: { retryable: false, fatal: false }
+};
+
+const turnId = { type: 'string', maxLength: 64 };
+
+// Per-turn recognition settings, checked by the proxy. `vocabulary` lists
+// names and terms to bias recognition towards; it is sent as the prompt.
+const transcriptionFields = {
+    language: { type: 'string', maxLength: 8 },
+    model: { type: 'string', maxLength: 128 },
+    prompt: { type: 'string' },
+    vocabulary: { type: 'array', maxLength: 200 }
+};
+
+const startFields = {
+    protocol: { type: 'integer', min: 1 },
+    audioFrames: { type: 'string', values: ['binary', 'json'] },
+    sessionId: { type: 'string', maxLength: 128 }
+};
+
+const readyFields = {
+    message: { type: 'string' },
+    protocol: { type: 'integer', min: 1 },
+    audioFrames: { type: 'string', values: ['binary', 'json'] }
+};
+
+const degradedFields = {
+    degraded: { type: 'boolean', required: true },
+    provider: { type: 'string' },
+    reason: { type: 'string' }
+};
+
+// The proxy is draining: finish the current turn, then reconnect after the hint
+const shutdownFields = {
+    message: { type: 'string' },
+    reconnectAfterMs: { type: 'integer', required: true, min: 0 }
+};
+
+const errorFields = {
+    code: { type: 'string', required: true, values: Object.keys(ERROR_CODES) },
+    message: { type: 'string', required: true },
+    retryable: { type: 'boolean', required: true },
+    retryAfterMs: { type: 'integer', min: 0 },
+    limit: { type: 'string' },
+    scope: { type: 'string' },
+    turnId
+};
+
+export const CLIENT_MESSAGES = {
+    session: {
+        start: startFields
+    },
+    stt: {
+        start: { ...startFields, partials: { type: 'boolean' }, ...transcriptionFields, turnId },
+        audio: { audio: { type: 'string', required: true }, turnId },
+        transcribe: { ...transcriptionFields, turnId },
+        cancel: { turnId }
+    },
+    tts: {
+        start: startFields,
+        // `ssml` (a <speak> document) is spoken instead of `text` when given;
+        // `voice` is { name?, speakingRate?, pitch? }, checked by the proxy
+        speak: { text: { type: 'string', required: true }, ssml: { type: 'string' }, voice: { type: 'object' }, turnId },
+        cancel: { turnId }
+    }
+};
+
+export const SERVER_MESSAGES = {
+    session: {
+        ready: { ...readyFields, channels: { type: 'object' } },
+        server_shutdown: shutdownFields,
+        error: errorFields
+    },
+    stt: {
+        ready: { ...readyFields, partials: { type: 'boolean' }, degraded: { type: 'boolean' }, turnId },
+        partial: {
+            text: { type: 'string', required: true },
+            stable: { type: 'string' },
+            unstable: { type: 'string' },
+            turnId
+        },
+        // With STT_RESPONSE_FORMAT=verbose_json: segments { start, end, text,
+        // confidence, noSpeechProb } and words { word, start, end, confidence }
+        transcript: {
+            text: { type: 'string', required: true },
+            noSpeech: { type: 'boolean' },
+            segments: { type: 'array' },
+            words: { type: 'array' },
+            turnId
+        },
+        // The proxy stopped accepting audio for the utterance at `maxMs`
+        cutoff: {
+            limit: { type: 'string', required: true, values: ['utteranceSeconds', 'utteranceBytes'] },
+            maxMs: { type: 'integer', min: 0 },
+            turnId
+        },
+        cancelled: { turnId },
+        degraded: degradedFields,
+        server_shutdown: shutdownFields,
+        error: errorFields
+    },
+    tts: {
+        ready: { ...readyFields, degraded: { type: 'boolean' } },
+        audio: { data: { type: 'string', required: true }, turnId },
+        done: { turnId },
+        cancelled: { turnId },
+        degraded: degradedFields,
+        server_shutdown: shutdownFields,
+        error: errorFields
+    }
+};
+
+export function validateClientMessage(channel, message) {
+    return validateMessage(CLIENT_MESSAGES[channel], message);
+}
+
+export function validateServerMessage(channel, message) {
+    return validateMessage(SERVER_MESSAGES[channel], message);
+}
+
+/**
+ * Returns a description of the first problem found, or null when the
+ * message matches the schema.
+ */
+export function validateMessage(schema, message) {
+    if (!schema) {
+        return 'Unknown channel';
+    }
+    
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        return 'Message must be a JSON object';
+    }
+    
+    const fields = schema[message.type];
+    if (!fields) {
+        return `Unknown message type "${message.type}"`;
+    }
+    
+    for (const [name, spec] of Object.entries(fields)) {
+        const value = message[name];
+        
+        if (value === undefined || value === null) {
+            if (spec.required) {
+                return `"${message.type}" requires "${name}"`;
+            }
+            continue;
+        }
+        
+        const problem = checkField(spec, value);
+        if (problem) {
+            return `"${message.type}" field "${name}" ${problem}`;
+        }
+    }
+    
+    return null;
+}
+
+function checkField(spec, value) {
+    switch (spec.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return 'must be an integer';
+            }
+            break;
+        
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return 'must be an object';
+            }
+            break;
+        
+        case 'array':
+            if (!Array.isArray(value)) {
+                return 'must be an array';
+            }
+            break;
+        
+        default:
+            if (typeof value !== spec.type) {
+                return `must be a ${spec.type}`;
+            }
+    }
+    
+    if (spec.values && !spec.values.includes(value)) {
+        return `must be one of ${spec.values.join(', ')}`;
+    }
+    
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return `must be at most ${spec.maxLength} ${Array.isArray(value) ? 'items' : 'characters'}`;
+    }
+    
+    if (spec.min !== undefined && value < spec.min) {
+        return `must be at least ${spec.min}`;
+    }
+    
+    return null;
+}
+
+export function errorMessage(code, message, fields = {}) {
+    return {
+        type: 'error',
+        code,
+        message,
+        retryable: ERROR_CODES[code].retryable,
+        ...fields
+    };
+}
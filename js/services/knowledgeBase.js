@@ -1,8 +1,17 @@
+const SILENT_LOG = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Question → answer matching for the page, also loaded by the proxy (cache
+ * pre-warming) and the replay tool. It logs through the `log` it is given
+ * (the page's or the proxy's logger), and stays silent without one.
+ */
 class KnowledgeBase {
-    constructor() {
+    constructor({ log = SILENT_LOG } = {}) {
+        this.log = log;
         this.data = {};
         this.normalizedData = {};
         this.keywords = {};
+        this.ssml = {};
         this.isLoaded = false;
     }
     
@@ -14,36 +23,50 @@ class KnowledgeBase {
                 throw new Error('Failed to load knowledge base');
             }
             
-            this.data = await response.json();
+            this.setData(await response.json());
+            this.log.info('Knowledge base loaded', { entries: Object.keys(this.data).length });
+            return true;
+        } catch (error) {
+            this.log.error('Failed to load knowledge base', { error });
+            throw error;
+        }
+    }
+    
+
+    // Question → answer pairs as in knowledge_base.json, where an answer is
+    // either a string or { answer, ssml } to control how it is spoken. The
+    // proxy's replay tool loads them from disk instead of fetching them.
+    setData(data) {
+        this.data = data;
+        
+        this.normalizedData = {};
+        this.keywords = {};
+        this.ssml = {};
+        
+        for (const [key, value] of Object.entries(this.data)) {
+            const { answer, ssml } = typeof value === 'string' ? { answer: value } : value;
+            if (ssml) {
+                this.ssml[answer] = ssml;
+            }
             
-            this.normalizedData = {};
-            this.keywords = {};
+            const normalizedKey = this.normalize(key);
+            this.normalizedData[normalizedKey] = {
+                original: key,
+                answer: answer
+            };
             
-            for (const [key, value] of Object.entries(this.data)) {
-                const normalizedKey = this.normalize(key);
-                this.normalizedData[normalizedKey] = {
-                    original: key,
-                    answer: value
-                };
-                
-                const words = normalizedKey.split(' ');
-                for (const word of words) {
-                    if (word.length > 2) { 
-                        if (!this.keywords[word]) {
-                            this.keywords[word] = [];
-                        }
-                        this.keywords[word].push(normalizedKey);
+            const words = normalizedKey.split(' ');
+            for (const word of words) {
+                if (word.length > 2) { 
+                    if (!this.keywords[word]) {
+                        this.keywords[word] = [];
                     }
+                    this.keywords[word].push(normalizedKey);
                 }
             }
-            
-            this.isLoaded = true;
-            console.log(`Knowledge base loaded with ${Object.keys(this.data).length} entries`);
-            return true;
-        } catch (error) {
-            console.error('Failed to load knowledge base:', error);
-            throw error;
         }
+        
+        this.isLoaded = true;
     }
     
 
@@ -87,20 +110,20 @@ class KnowledgeBase {
 
     find(question) {
         if (!this.isLoaded) {
-            console.warn('Knowledge base not loaded');
+            this.log.warn('Knowledge base not loaded');
             return null;
         }
         
         const normalized = this.normalize(question);
         
         if (this.normalizedData[normalized]) {
-            console.log('✓ Exact match found');
+            this.log.info('Knowledge base match', { match: 'exact' });
             return this.normalizedData[normalized].answer;
         }
         
         for (const [key, value] of Object.entries(this.normalizedData)) {
             if (normalized.includes(key) || key.includes(normalized)) {
-                console.log('✓ Contains match found');
+                this.log.info('Knowledge base match', { match: 'contains' });
                 return value.answer;
             }
         }
@@ -127,7 +150,7 @@ class KnowledgeBase {
             }
             
             if (bestScore > 0.4) {
-                console.log(`✓ Keyword match found (score: ${bestScore.toFixed(2)})`);
+                this.log.info('Knowledge base match', { match: 'keyword', score: Number(bestScore.toFixed(2)) });
                 return bestMatch;
             }
         }
@@ -146,11 +169,11 @@ class KnowledgeBase {
         }
         
         if (bestMatch) {
-            console.log(`✓ Fuzzy match found (score: ${bestScore.toFixed(2)})`);
+            this.log.info('Knowledge base match', { match: 'fuzzy', score: Number(bestScore.toFixed(2)) });
             return bestMatch;
         }
         
-        console.log('✗ No match found');
+        this.log.info('No knowledge base match');
         return null;
     }
     
@@ -164,6 +187,38 @@ class KnowledgeBase {
     }
     
 
+    // The SSML an answer's entry gives for speaking it, or null
+    getSsml(answer) {
+        return this.ssml[answer] || null;
+    }
+    
+
+    // Names and terms from the answers, for biasing speech recognition:
+    // capitalized words and runs of them ("Quantum Strides") that are not
+    // just starting a sentence
+    getVocabulary() {
+        const terms = new Set();
+        
+        for (const { answer } of Object.values(this.normalizedData)) {
+            for (const match of answer.matchAll(/\b[A-Z][A-Za-z0-9]*(?:\s+[A-Z][A-Za-z0-9]*)*\b/g)) {
+                const startsSentence = /(^|[.!?]\s+)$/.test(answer.slice(0, match.index));
+                if (!startsSentence && match[0].length > 1) {
+                    terms.add(match[0]);
+                }
+            }
+        }
+        
+        return [...terms];
+    }
+    
+
+    // Every answer the assistant can give, with its SSML when it has one
+    getAnswers() {
+        const answers = new Set([...Object.values(this.normalizedData).map(entry => entry.answer), this.getDefaultResponse()]);
+        return [...answers].map(answer => ({ answer, ssml: this.getSsml(answer) }));
+    }
+    
+
     isReady() {
         return this.isLoaded;
     }
@@ -0,0 +1,79 @@
+import config from '../config.js';
+import logger from '../logger.js';
+
+/**
+ * Obtains and caches the short-lived session token the proxy requires on
+ * every WebSocket and on /porcupine-key. A new token is fetched shortly
+ * before the current one expires.
+ */
+class SessionClient {
+    constructor() {
+        this.token = null;
+        this.sessionId = null;
+        this.expiresAt = 0;
+        this.pending = null;
+        this.refreshMarginMs = 30000;
+    }
+    
+
+    async getToken() {
+        if (this.token && Date.now() < this.expiresAt - this.refreshMarginMs) {
+            return this.token;
+        }
+        
+        if (!this.pending) {
+            this.pending = this.requestToken().finally(() => {
+                this.pending = null;
+            });
+        }
+        
+        return this.pending;
+    }
+    
+
+    async requestToken() {
+        const response = await fetch(config.getServerURL('/session'), {
+            method: 'POST',
+            credentials: 'omit'
+        });
+        
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(`Session request failed: ${body.error || response.status}`);
+        }
+        
+        const session = await response.json();
+        
+        // Authentication disabled on the proxy: nothing to attach, but keep
+        // the session ID it hands out for log correlation
+        if (!session.token) {
+            this.token = null;
+            this.sessionId = this.sessionId || session.sessionId;
+            logger.setContext({ sessionId: this.sessionId });
+            this.expiresAt = Infinity;
+            return null;
+        }
+        
+        this.token = session.token;
+        this.sessionId = session.sessionId;
+        this.expiresAt = session.expiresAt;
+        logger.setContext({ sessionId: this.sessionId });
+        logger.info('Session token obtained');
+        return this.token;
+    }
+    
+
+    async getAuthHeaders() {
+        const token = await this.getToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+    
+
+    clear() {
+        this.token = null;
+        this.sessionId = null;
+        this.expiresAt = 0;
+    }
+}
+
+export default new SessionClient();
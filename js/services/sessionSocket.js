@@ -0,0 +1,238 @@
+import config from '../config.js';
+import sessionClient from './sessionClient.js';
+import { validateServerMessage } from '../protocol/messages.js';
+import logger from '../logger.js';
+
+const MESSAGE_VERSION = 1;
+
+/**
+ * The page's one long-lived connection to the proxy (`?service=session`),
+ * shared by STTService and TTSService. JSON messages are wrapped in a
+ * `{ v, channel }` envelope and dispatched to the channel's handler; binary
+ * frames from the proxy are TTS audio. The socket closes once the last
+ * channel unregisters and reconnects after an unexpected drop.
+ */
+class SessionSocket {
+    constructor() {
+        this.ws = null;
+        this.isConnected = false;
+        this.binaryAudio = false;
+        this.channels = {};
+        this.pending = null;
+        this.handlers = {};
+        this.closing = false;
+        this.reconnectAttempts = 0;
+        this.shutdownNotice = null;
+    }
+    
+
+    async connect() {
+        if (this.isConnected) {
+            return;
+        }
+        
+        if (!this.pending) {
+            this.pending = this.open().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+    
+
+    async open() {
+        const token = await sessionClient.getToken();
+        this.closing = false;
+        
+        return new Promise((resolve, reject) => {
+            logger.info('Connecting to session socket', { url: config.websocket.url });
+            const ws = new WebSocket(config.getWebSocketURL('session', token));
+            ws.binaryType = 'arraybuffer';
+            this.ws = ws;
+            
+            ws.onopen = () => {
+                this.send('session', {
+                    ...config.getStartMessage(),
+                    sessionId: sessionClient.sessionId
+                });
+            };
+            
+            ws.onmessage = (event) => {
+                this.handleFrame(event.data, resolve, reject);
+            };
+            
+            ws.onerror = () => {
+                logger.error('Session WebSocket error');
+                reject(new Error('Session WebSocket connection failed'));
+            };
+            
+            ws.onclose = () => {
+                const wasConnected = this.isConnected;
+                this.isConnected = false;
+                this.ws = null;
+                logger.info('Session WebSocket closed');
+                
+                this.notify('onClose');
+                reject(new Error('Session WebSocket closed before it was ready'));
+                
+                if (wasConnected && !this.closing) {
+                    this.reconnect();
+                }
+            };
+        });
+    }
+    
+
+    async reconnect() {
+        if (this.reconnectAttempts >= config.websocket.reconnectAttempts) {
+            logger.error('Session socket reconnection gave up', { attempts: this.reconnectAttempts });
+            return;
+        }
+        
+        // A proxy that is restarting says when to come back
+        const delayMs = this.shutdownNotice ? this.shutdownNotice.reconnectAfterMs : config.websocket.reconnectDelayMs;
+        this.shutdownNotice = null;
+        
+        this.reconnectAttempts++;
+        logger.info('Reconnecting session socket', { attempt: this.reconnectAttempts, delayMs });
+        
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        
+        try {
+            await this.connect();
+        } catch (error) {
+            logger.error('Session socket reconnection failed', { error });
+            this.reconnect();
+        }
+    }
+    
+
+    handleFrame(data, resolvePromise, rejectPromise) {
+        if (data instanceof ArrayBuffer) {
+            const handler = this.handlers.tts;
+            if (handler && handler.onBinary) {
+                handler.onBinary(data);
+            }
+            return;
+        }
+        
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            logger.error('Failed to parse session message', { error });
+            return;
+        }
+        
+        if (message.channel === 'session') {
+            this.handleSessionMessage(message, resolvePromise, rejectPromise);
+            return;
+        }
+        
+        const handler = this.handlers[message.channel];
+        if (handler && handler.onMessage) {
+            handler.onMessage(message);
+        }
+    }
+    
+
+    handleSessionMessage(message, resolvePromise, rejectPromise) {
+        const problem = validateServerMessage('session', message);
+        if (problem) {
+            logger.warn('Ignoring invalid session message', { reason: problem });
+            return;
+        }
+        
+        switch (message.type) {
+            case 'ready':
+                this.binaryAudio = message.audioFrames === 'binary';
+                this.channels = message.channels || {};
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                logger.info('Session ready', { protocol: message.protocol, audioFrames: message.audioFrames });
+                
+                this.notify('onOpen');
+                resolvePromise();
+                break;
+                
+            case 'server_shutdown':
+                // The proxy closes the socket once no turn is in progress
+                logger.warn('Proxy shutting down', { reconnectAfterMs: message.reconnectAfterMs });
+                this.shutdownNotice = message;
+                break;
+                
+            case 'error':
+                logger.error('Session error', { code: message.code, message: message.message });
+                if (!this.isConnected) {
+                    const error = new Error(message.message);
+                    error.code = message.code;
+                    error.retryable = message.retryable;
+                    rejectPromise(error);
+                }
+                break;
+        }
+    }
+    
+
+    notify(event) {
+        for (const handler of Object.values(this.handlers)) {
+            if (handler[event]) {
+                handler[event]();
+            }
+        }
+    }
+    
+
+    // handler: { onMessage, onBinary, onOpen, onClose }
+    register(channel, handler) {
+        this.handlers[channel] = handler;
+    }
+    
+
+    unregister(channel) {
+        delete this.handlers[channel];
+        
+        if (Object.keys(this.handlers).length === 0) {
+            this.close();
+        }
+    }
+    
+
+    send(channel, message) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        
+        try {
+            this.ws.send(JSON.stringify({ v: MESSAGE_VERSION, channel, ...message }));
+        } catch (error) {
+            logger.error('Failed to send session message', { channel, error });
+        }
+    }
+    
+
+    sendBinary(buffer) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        
+        try {
+            this.ws.send(buffer);
+        } catch (error) {
+            logger.error('Failed to send audio frame', { error });
+        }
+    }
+    
+
+    close() {
+        this.closing = true;
+        if (this.ws) {
+            this.ws.close();
+            this.ws = null;
+        }
+        this.isConnected = false;
+        this.binaryAudio = false;
+    }
+}
+
+export default new SessionSocket();
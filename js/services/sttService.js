@@ -1,15 +1,29 @@
+import config from '../config.js';
+import sessionClient from './sessionClient.js';
+import sessionSocket from './sessionSocket.js';
+import { validateServerMessage } from '../protocol/messages.js';
+import logger from '../logger.js';
+
 class STTService {
     constructor() {
         this.ws = null;
         this.isConnected = false;
         this.isTranscribing = false;
+        this.isAwaitingTranscript = false;
+        this.binaryAudio = false;
+        this.turnId = null;
+        this.transcriptionOptions = {};
+        this.cancelledTurnId = null;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
         this.reconnectDelayMs = 2000;
+        this.shutdownNotice = null;
         
         this.onPartialTranscript = null;
         this.onFinalTranscript = null;
         this.onError = null;
+        this.onDegraded = null;
+        this.onCutoff = null;
         
         this.audioStartTime = null;
         
@@ -18,18 +32,34 @@ class STTService {
     }
     
 
-    async connect() {
+    // `turnId` tags every message of the turn for log correlation on the proxy
+    async connect(turnId = this.turnId) {
+        this.turnId = turnId;
+        
+        if (config.websocket.multiplexed) {
+            return this.connectSession();
+        }
+        
+        const token = await sessionClient.getToken();
+        
         return new Promise((resolve, reject) => {
             try {
-                const wsUrl = `ws://localhost:8080?service=stt`;
+                const wsUrl = config.getWebSocketURL('stt', token);
 
-                console.log('Connecting to Groq STT proxy:', wsUrl);
+                logger.info('Connecting to STT proxy', { url: config.websocket.url });
                 this.ws = new WebSocket(wsUrl);
+                this.ws.binaryType = 'arraybuffer';
                 
                 this.ws.onopen = () => {
-                    console.log('✅ STT WebSocket connected to proxy');
+                    logger.info('STT WebSocket connected to proxy');
                     
-                    this.send({ type: 'start' });
+                    this.send({
+                        ...config.getStartMessage(),
+                        partials: config.providers.stt.partialTranscripts,
+                        ...this.transcriptionOptions,
+                        sessionId: sessionClient.sessionId,
+                        turnId: this.turnId
+                    });
                 };
                 
                 this.ws.onmessage = (event) => {
@@ -37,7 +67,7 @@ class STTService {
                 };
                 
                 this.ws.onerror = (error) => {
-                    console.error('STT WebSocket error:', error);
+                    logger.error('STT WebSocket error');
                     if (this.onError) {
                         this.onError(error);
                     }
@@ -45,7 +75,7 @@ class STTService {
                 };
                 
                 this.ws.onclose = () => {
-                    console.log('STT WebSocket closed');
+                    logger.info('STT WebSocket closed');
                     this.isConnected = false;
                     this.handleDisconnect();
                 };
@@ -57,33 +87,109 @@ class STTService {
     }
     
 
+    async connectSession() {
+        await sessionSocket.connect();
+        
+        return new Promise((resolve, reject) => {
+            sessionSocket.register('stt', {
+                onMessage: (message) => this.handleMessage(message, resolve, reject),
+                onClose: () => {
+                    this.isConnected = false;
+                }
+            });
+            
+            this.send({
+                type: 'start',
+                partials: config.providers.stt.partialTranscripts,
+                ...this.transcriptionOptions,
+                turnId: this.turnId
+            });
+        });
+    }
+    
+
+    // Recognition settings sent with every turn's `start`: { language, model,
+    // prompt, vocabulary }, where the model must be one of
+    // config.providers.stt.models
+    setTranscriptionOptions(options) {
+        this.transcriptionOptions = options;
+    }
+    
+
     handleMessage(data, resolvePromise, rejectPromise) {
         try {
-            const message = JSON.parse(data);
+            const message = typeof data === 'string' ? JSON.parse(data) : data;
+            
+            const problem = validateServerMessage('stt', message);
+            if (problem) {
+                logger.warn('Ignoring invalid STT message', { reason: problem });
+                return;
+            }
+            
+            // Results for a cancelled turn may still be on the wire
+            if (message.turnId && message.turnId === this.cancelledTurnId) {
+                return;
+            }
             
             switch (message.type) {
                 case 'ready':
-                    console.log('✅ Groq STT ready');
+                    this.binaryAudio = message.audioFrames === 'binary';
+                    logger.info('STT ready', { protocol: message.protocol || 1, audioFrames: this.binaryAudio ? 'binary' : 'base64' });
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
+                    this.handleDegraded({ degraded: Boolean(message.degraded) });
                     
                     if (resolvePromise) {
                         resolvePromise();
                     }
                     break;
                     
+                case 'partial':
+                    if (this.onPartialTranscript) {
+                        this.onPartialTranscript(message.text, {
+                            stable: message.stable || '',
+                            unstable: message.unstable || ''
+                        });
+                    }
+                    break;
+                    
                 case 'transcript':
                     const transcript = message.text;
-                    console.log('📝 Transcript received:', transcript);
+                    this.isAwaitingTranscript = false;
+                    logger.info('Transcript received', { text: transcript });
                     
                     if (this.onFinalTranscript) {
-                        this.onFinalTranscript(transcript);
+                        this.onFinalTranscript(transcript, {
+                            noSpeech: message.noSpeech === true,
+                            segments: message.segments || null,
+                            words: message.words || null
+                        });
                     }
                     break;
                     
+                case 'cutoff':
+                    logger.warn('Utterance cut off by the proxy', { limit: message.limit, maxMs: message.maxMs });
+                    if (this.onCutoff) {
+                        this.onCutoff(message);
+                    }
+                    break;
+                    
+                case 'degraded':
+                    this.handleDegraded(message);
+                    break;
+                    
+                case 'server_shutdown':
+                    logger.warn('STT proxy shutting down', { reconnectAfterMs: message.reconnectAfterMs });
+                    this.shutdownNotice = message;
+                    break;
+                    
                 case 'error':
-                    console.error('❌ STT error:', message.message);
+                    this.isAwaitingTranscript = false;
+                    logger.error('STT error', { code: message.code, message: message.message });
                     const error = new Error(message.message);
+                    error.code = message.code;
+                    error.retryable = message.retryable;
+                    error.retryAfterMs = message.retryAfterMs;
                     
                     if (this.onError) {
                         this.onError(error);
@@ -95,7 +201,7 @@ class STTService {
                     break;
             }
         } catch (error) {
-            console.error('Failed to parse STT message:', error);
+            logger.error('Failed to parse STT message', { error });
             if (rejectPromise) {
                 rejectPromise(error);
             }
@@ -103,9 +209,18 @@ class STTService {
     }
     
 
+    // The proxy is serving transcription from a fallback provider, or has
+    // recovered; `ready` carries the state as of this turn
+    handleDegraded({ degraded, provider, reason }) {
+        if (this.onDegraded) {
+            this.onDegraded({ degraded, provider, reason });
+        }
+    }
+    
+
     sendAudio(audioData) {
-        if (!this.isConnected || !this.ws) {
-            console.warn('Cannot send audio: not connected');
+        if (!this.isConnected) {
+            logger.warn('Cannot send audio: not connected');
             return;
         }
         
@@ -141,32 +256,41 @@ class STTService {
             offset += int16Data.length;
         }
         
-    
-        const base64Audio = this.arrayBufferToBase64(combinedBuffer.buffer);
-        
-
-        this.send({
-            type: 'audio',
-            audio: base64Audio
-        });
+        if (this.binaryAudio) {
+            this.sendBinary(combinedBuffer.buffer);
+        } else {
+            const base64Audio = this.arrayBufferToBase64(combinedBuffer.buffer);
+            
+            this.send({
+                type: 'audio',
+                audio: base64Audio,
+                turnId: this.turnId
+            });
+        }
         
         this.audioChunkBuffer = [];
     }
     
 
     commitAudio() {
-        if (!this.isConnected || !this.ws) {
+        if (!this.isConnected) {
             return;
         }
         
 
         this.flushAudioBuffer();
         
-        console.log('🎤 Triggering immediate transcription...');
-        this.send({ type: 'transcribe' });
+        logger.info('Triggering immediate transcription');
+        this.send({ type: 'transcribe', turnId: this.turnId });
+        this.isAwaitingTranscript = true;
     }
     
     send(message) {
+        if (config.websocket.multiplexed) {
+            sessionSocket.send('stt', message);
+            return;
+        }
+        
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
             return;
         }
@@ -174,11 +298,46 @@ class STTService {
         try {
             this.ws.send(JSON.stringify(message));
         } catch (error) {
-            console.error('Failed to send message:', error);
+            logger.error('Failed to send STT message', { error });
+        }
+    }
+    
+
+    sendBinary(buffer) {
+        if (config.websocket.multiplexed) {
+            sessionSocket.sendBinary(buffer);
+            return;
+        }
+        
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        
+        try {
+            this.ws.send(buffer);
+        } catch (error) {
+            logger.error('Failed to send audio frame', { error });
         }
     }
     
 
+    // Discards the current utterance and aborts its transcription on the proxy
+    cancel() {
+        if (!this.isConnected || (!this.isTranscribing && !this.isAwaitingTranscript)) {
+            return;
+        }
+        
+        logger.info('Cancelling transcription', { turnId: this.turnId });
+        this.send({ type: 'cancel', turnId: this.turnId });
+        
+        this.cancelledTurnId = this.turnId;
+        this.isTranscribing = false;
+        this.isAwaitingTranscript = false;
+        this.audioStartTime = null;
+        this.audioChunkBuffer = [];
+    }
+    
+
     startTranscription(onPartial, onFinal, onError) {
         this.onPartialTranscript = onPartial;
         this.onFinalTranscript = onFinal;
@@ -202,28 +361,38 @@ class STTService {
 
     async handleDisconnect() {
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
+            // A proxy that is restarting says when to come back
+            const delayMs = this.shutdownNotice ? this.shutdownNotice.reconnectAfterMs : this.reconnectDelayMs;
+            this.shutdownNotice = null;
+            
             this.reconnectAttempts++;
-            console.log(`Reconnecting... Attempt ${this.reconnectAttempts}`);
+            logger.info('Reconnecting to STT proxy', { attempt: this.reconnectAttempts, delayMs });
             
             await new Promise(resolve => 
-                setTimeout(resolve, this.reconnectDelayMs)
+                setTimeout(resolve, delayMs)
             );
             
             try {
                 await this.connect();
             } catch (error) {
-                console.error('Reconnection failed:', error);
+                logger.error('STT reconnection failed', { error });
             }
         }
     }
 
     disconnect() {
+        if (config.websocket.multiplexed) {
+            sessionSocket.unregister('stt');
+        }
+        
         if (this.ws) {
             this.ws.close();
             this.ws = null;
         }
         this.isConnected = false;
         this.isTranscribing = false;
+        this.isAwaitingTranscript = false;
+        this.binaryAudio = false;
         this.audioStartTime = null;
         this.audioChunkBuffer = [];
     }
@@ -0,0 +1,45 @@
+/**
+ * Checks on the segments and words a detailed transcript carries
+ * (STT_RESPONSE_FORMAT=verbose_json). Without them every check passes, so
+ * the page behaves as with plain transcripts.
+ */
+
+// Whisper's own rule for silence: a segment is skipped when it is probably
+// not speech and was not decoded confidently either. A transcript made only
+// of such segments is a hallucination ("Thank you.", "Bye.") rather than
+// something the user said.
+export function isLikelySilence(segments, { maxNoSpeechProb, minConfidence }) {
+    if (!segments || segments.length === 0) {
+        return false;
+    }
+    
+    return segments.every(segment =>
+        segment.noSpeechProb !== null && segment.noSpeechProb > maxNoSpeechProb &&
+        segment.confidence !== null && segment.confidence < minConfidence
+    );
+}
+
+/**
+ * Splits the transcript text into its whitespace-separated tokens, each
+ * marked `low` when the word it was recognized as scored below
+ * `threshold`. Words come without punctuation, so they are matched to the
+ * tokens in order, ignoring case and punctuation.
+ */
+export function markLowConfidence(text, words, threshold) {
+    const tokens = text.trim().split(/\s+/).filter(Boolean);
+    let next = 0;
+    
+    return tokens.map((token) => {
+        const word = words?.[next];
+        if (!word || normalize(word.word) !== normalize(token)) {
+            return { token, low: false };
+        }
+        
+        next++;
+        return { token, low: word.confidence !== null && word.confidence < threshold };
+    });
+}
+
+function normalize(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
@@ -1,29 +1,53 @@
+import config from '../config.js';
+import sessionClient from './sessionClient.js';
+import sessionSocket from './sessionSocket.js';
+import { validateServerMessage } from '../protocol/messages.js';
+import logger from '../logger.js';
+
 class TTSService {
     constructor() {
         this.ws = null;
         this.isConnected = false;
         this.isSpeaking = false;
+        this.binaryAudio = false;
+        
+        // Turn of the speech in progress. After a cancel, audio is dropped
+        // until the proxy confirms it; binary frames carry no turn ID.
+        this.turnId = null;
+        this.isPending = false;
+        this.awaitingCancel = false;
+        this.shutdownNotice = null;
         
         this.onAudioChunk = null;
         this.onSpeechStarted = null;
         this.onSpeechEnded = null;
         this.onError = null;
+        this.onDegraded = null;
     }
     
 
     async connect() {
+        if (config.websocket.multiplexed) {
+            return this.connectSession();
+        }
+        
+        const token = await sessionClient.getToken();
+        
         return new Promise((resolve, reject) => {
             try {
-                const wsUrl = `ws://localhost:8080?service=tts`;
+                const wsUrl = config.getWebSocketURL('tts', token);
                 
-                console.log('Connecting to Google TTS proxy:', wsUrl);
+                logger.info('Connecting to TTS proxy', { url: config.websocket.url });
                 this.ws = new WebSocket(wsUrl);
+                this.ws.binaryType = 'arraybuffer';
                 
                 this.ws.onopen = () => {
-                    console.log('✅ TTS WebSocket connected to proxy');
+                    logger.info('TTS WebSocket connected to proxy');
                     
-                
-                    this.send({ type: 'start' });
+                    this.send({
+                        ...config.getStartMessage(),
+                        sessionId: sessionClient.sessionId
+                    });
                 };
                 
                 this.ws.onmessage = (event) => {
@@ -31,7 +55,7 @@ class TTSService {
                 };
                 
                 this.ws.onerror = (error) => {
-                    console.error('TTS WebSocket error:', error);
+                    logger.error('TTS WebSocket error');
                     if (this.onError) {
                         this.onError(error);
                     }
@@ -39,8 +63,12 @@ class TTSService {
                 };
                 
                 this.ws.onclose = () => {
-                    console.log('TTS WebSocket closed');
+                    logger.info('TTS WebSocket closed');
                     this.isConnected = false;
+                    
+                    if (this.shutdownNotice) {
+                        this.reconnectAfterShutdown();
+                    }
                 };
                 
             } catch (error) {
@@ -50,14 +78,52 @@ class TTSService {
     }
     
 
+    async connectSession() {
+        await sessionSocket.connect();
+        
+        sessionSocket.register('tts', {
+            onMessage: (message) => this.handleMessage(message),
+            onBinary: (data) => this.handleAudioChunk(data),
+            onOpen: () => {
+                this.isConnected = true;
+                this.handleDegraded({ degraded: Boolean(sessionSocket.channels.tts?.degraded) });
+            },
+            onClose: () => {
+                this.isConnected = false;
+                this.isSpeaking = false;
+                this.isPending = false;
+                this.awaitingCancel = false;
+            }
+        });
+        
+        // The session `ready` already negotiated framing for every channel
+        this.binaryAudio = sessionSocket.binaryAudio;
+        this.isConnected = true;
+        this.handleDegraded({ degraded: Boolean(sessionSocket.channels.tts?.degraded) });
+    }
+    
+
     handleMessage(data, resolvePromise, rejectPromise) {
+        if (data instanceof ArrayBuffer) {
+            this.handleAudioChunk(data);
+            return;
+        }
+        
         try {
-            const message = JSON.parse(data);
+            const message = typeof data === 'string' ? JSON.parse(data) : data;
+            
+            const problem = validateServerMessage('tts', message);
+            if (problem) {
+                logger.warn('Ignoring invalid TTS message', { reason: problem });
+                return;
+            }
             
             switch (message.type) {
                 case 'ready':
-                    console.log('✅ Google TTS ready');
+                    this.binaryAudio = message.audioFrames === 'binary';
+                    logger.info('TTS ready', { protocol: message.protocol || 1, audioFrames: this.binaryAudio ? 'binary' : 'base64' });
                     this.isConnected = true;
+                    this.handleDegraded({ degraded: Boolean(message.degraded) });
                     
                     if (resolvePromise) {
                         resolvePromise();
@@ -65,32 +131,49 @@ class TTSService {
                     break;
                     
                 case 'audio':
+                    if (message.turnId && this.turnId && message.turnId !== this.turnId) {
+                        break;
+                    }
                     
-                    if (message.data && this.onAudioChunk) {
-                        const audioData = this.base64ToArrayBuffer(message.data);
-                        this.onAudioChunk(audioData);
-                        
-                        
-                        if (!this.isSpeaking) {
-                            this.isSpeaking = true;
-                            if (this.onSpeechStarted) {
-                                this.onSpeechStarted();
-                            }
-                        }
+                    if (message.data) {
+                        this.handleAudioChunk(this.base64ToArrayBuffer(message.data));
                     }
                     break;
                     
                 case 'done':
-                    console.log('✅ TTS audio stream completed');
+                    if (message.turnId && message.turnId !== this.turnId) {
+                        break;
+                    }
+                    
+                    logger.info('TTS audio stream completed');
                     this.isSpeaking = false;
+                    this.isPending = false;
                     if (this.onSpeechEnded) {
                         this.onSpeechEnded();
                     }
                     break;
                     
+                case 'cancelled':
+                    this.awaitingCancel = false;
+                    break;
+                    
+                case 'degraded':
+                    this.handleDegraded(message);
+                    break;
+                    
+                case 'server_shutdown':
+                    // The proxy closes this socket once the current speech is done
+                    logger.warn('TTS proxy shutting down', { reconnectAfterMs: message.reconnectAfterMs });
+                    this.shutdownNotice = message;
+                    break;
+                    
                 case 'error':
-                    console.error('❌ TTS error:', message.message);
+                    this.isPending = false;
+                    logger.error('TTS error', { code: message.code, message: message.message });
                     const error = new Error(message.message);
+                    error.code = message.code;
+                    error.retryable = message.retryable;
+                    error.retryAfterMs = message.retryAfterMs;
                     
                     if (this.onError) {
                         this.onError(error);
@@ -102,7 +185,7 @@ class TTSService {
                     break;
             }
         } catch (error) {
-            console.error('Failed to parse TTS message:', error);
+            logger.error('Failed to parse TTS message', { error });
             if (rejectPromise) {
                 rejectPromise(error);
             }
@@ -110,22 +193,90 @@ class TTSService {
     }
     
 
-    speak(text) {
-        if (!this.isConnected || !this.ws) {
-            console.warn('Cannot speak: not connected');
+    handleDegraded({ degraded, provider, reason }) {
+        if (this.onDegraded) {
+            this.onDegraded({ degraded, provider, reason });
+        }
+    }
+    
+
+    async reconnectAfterShutdown() {
+        const delayMs = this.shutdownNotice.reconnectAfterMs;
+        this.shutdownNotice = null;
+        logger.info('Reconnecting to TTS proxy', { delayMs });
+        
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        
+        try {
+            await this.connect();
+        } catch (error) {
+            logger.error('TTS reconnection failed', { error });
+        }
+    }
+    
+
+    handleAudioChunk(audioData) {
+        if (!this.onAudioChunk || this.awaitingCancel) {
             return;
         }
         
-        console.log('🔊 Speaking:', text);
+        this.onAudioChunk(audioData);
+        
+        if (!this.isSpeaking) {
+            this.isSpeaking = true;
+            if (this.onSpeechStarted) {
+                this.onSpeechStarted();
+            }
+        }
+    }
+    
+
+    // `ssml` is spoken instead of `text` when given; `voice` may set
+    // { name, speakingRate, pitch }, where the name must be one of
+    // config.providers.tts.voices
+    speak(text, turnId = null, { ssml = null, voice = null } = {}) {
+        if (!this.isConnected) {
+            logger.warn('Cannot speak: not connected');
+            return;
+        }
+        
+        logger.info('Speaking', { text, ssml: ssml !== null, voice });
+        this.turnId = turnId;
+        this.isPending = true;
         
         this.send({
             type: 'speak',
-            text: text
+            text: text,
+            ssml: ssml,
+            voice: voice,
+            turnId: turnId
         });
     }
     
 
+    // Stops the proxy streaming the current speech; chunks already on the
+    // wire are dropped
+    cancel() {
+        if (!this.isPending || !this.isConnected) {
+            return;
+        }
+        
+        logger.info('Cancelling speech', { turnId: this.turnId });
+        this.send({ type: 'cancel', turnId: this.turnId });
+        
+        this.awaitingCancel = true;
+        this.isPending = false;
+        this.isSpeaking = false;
+        this.turnId = null;
+    }
+    
+
     send(message) {
+        if (config.websocket.multiplexed) {
+            sessionSocket.send('tts', message);
+            return;
+        }
+        
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
             return;
         }
@@ -133,26 +284,35 @@ class TTSService {
         try {
             this.ws.send(JSON.stringify(message));
         } catch (error) {
-            console.error('Failed to send TTS message:', error);
+            logger.error('Failed to send TTS message', { error });
         }
     }
     
 
-    setCallbacks({ onAudioChunk, onSpeechStarted, onSpeechEnded, onError }) {
+    setCallbacks({ onAudioChunk, onSpeechStarted, onSpeechEnded, onError, onDegraded }) {
         this.onAudioChunk = onAudioChunk;
         this.onSpeechStarted = onSpeechStarted;
         this.onSpeechEnded = onSpeechEnded;
         this.onError = onError;
+        this.onDegraded = onDegraded;
     }
     
 
     disconnect() {
+        if (config.websocket.multiplexed) {
+            sessionSocket.unregister('tts');
+        }
+        
+        this.shutdownNotice = null;
         if (this.ws) {
             this.ws.close();
             this.ws = null;
         }
         this.isConnected = false;
         this.isSpeaking = false;
+        this.binaryAudio = false;
+        this.isPending = false;
+        this.awaitingCancel = false;
     }
 
     base64ToArrayBuffer(base64) {
@@ -1,4 +1,12 @@
 import config from '../config.js';
+import logger from '../logger.js';
+
+const LOG_LEVELS = {
+    debug: 'debug',
+    info: 'info',
+    warning: 'warn',
+    error: 'error'
+};
 
 class UIController {
     constructor() {
@@ -31,7 +39,7 @@ class UIController {
     
         this.setupEventListeners();
         
-        console.log('UI initialized');
+        logger.info('UI initialized');
     }
     
 
@@ -81,16 +89,30 @@ class UIController {
     }
     
 
-    showPartialTranscript(text) {
+    showPartialTranscript(text, segments = null) {
+        if (!segments) {
+            this.elements.transcriptBox.innerHTML = `
+                <div class="transcript-partial">${this.escapeHtml(text)}</div>
+            `;
+            return;
+        }
+        
         this.elements.transcriptBox.innerHTML = `
-            <div class="transcript-partial">${this.escapeHtml(text)}</div>
+            <div class="transcript-partial"><span class="transcript-stable">${this.escapeHtml(segments.stable)}</span> <span class="transcript-unstable">${this.escapeHtml(segments.unstable)}</span></div>
         `;
     }
     
 
-    showFinalTranscript(text) {
+    // `tokens` ({ token, low }) mark the words recognized with low confidence
+    showFinalTranscript(text, tokens = null) {
+        const content = tokens
+            ? tokens.map(({ token, low }) => low
+                ? `<span class="transcript-low-confidence" title="Low confidence">${this.escapeHtml(token)}</span>`
+                : this.escapeHtml(token)).join(' ')
+            : this.escapeHtml(text);
+        
         this.elements.transcriptBox.innerHTML = `
-            <div class="transcript-final">${this.escapeHtml(text)}</div>
+            <div class="transcript-final">${content}</div>
         `;
     }
     
@@ -125,7 +147,6 @@ class UIController {
     
 
     showError(message) {
-        console.error(message);
         this.log(message, 'error');
         alert(message);
     }
@@ -142,16 +163,20 @@ class UIController {
     }
     
 
-    log(message, type = 'info') {
+    // Writes a structured log entry (tagged with the session and current turn)
+    // and mirrors it in the debug console
+    log(message, type = 'info', fields = {}) {
+        
+        const logEntry = logger.write(LOG_LEVELS[type] || 'info', message, fields);
         
-        const timestamp = new Date().toLocaleTimeString();
-        console.log(`[${timestamp}] ${message}`);
+        if (!logEntry || !this.debugEnabled) return;
         
-        if (!this.debugEnabled) return;
+        const timestamp = new Date(logEntry.time).toLocaleTimeString();
+        const turn = logEntry.turnId ? ` [${logEntry.turnId.slice(0, 8)}]` : '';
         
         const entry = document.createElement('div');
         entry.className = `debug-entry debug-${type}`;
-        entry.textContent = `[${timestamp}] ${message}`;
+        entry.textContent = `[${timestamp}]${turn} ${message}`;
         
         this.elements.debugBox.appendChild(entry);
         
@@ -1,4 +1,6 @@
 import config from '../config.js';
+import logger from '../logger.js';
+import sessionClient from '../services/sessionClient.js';
 
 class WakeWordDetector {
     constructor() {
@@ -17,7 +19,12 @@ class WakeWordDetector {
             await this.waitForLibraries();
             
             
-            const response = await fetch('http://localhost:8080/porcupine-key');
+            const response = await fetch(config.getServerURL('/porcupine-key'), {
+                headers: await sessionClient.getAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error(`Porcupine key request failed (HTTP ${response.status})`);
+            }
             const data = await response.json();
             this.accessKey = data.key;
             
@@ -25,26 +32,27 @@ class WakeWordDetector {
                 throw new Error('Porcupine access key not found');
             }
             
-            console.log('Porcupine access key loaded');
+            logger.info('Porcupine access key loaded');
             
             
             const { PorcupineWorker } = window.PorcupineWeb;
             
             
             const keywordModel = {
-                publicPath: "Hey-Quantum_en_wasm_v4_0_0.ppn",
-                label: "hey quantum"
+                publicPath: config.wakeWord.keywordPath,
+                label: config.wakeWord.phrase,
+                sensitivity: config.wakeWord.sensitivity
             };
             
            
             const detectionCallback = (detection) => {
-                console.log('Porcupine detected:', detection.label);
+                logger.info('Porcupine detected', { label: detection.label });
                 this.handleWakeWordDetected();
             };
             
             
             const modelParams = {
-                publicPath: "porcupine_params.pv"
+                publicPath: config.wakeWord.modelPath
             };
             
             this.porcupineWorker = await PorcupineWorker.create(
@@ -54,13 +62,13 @@ class WakeWordDetector {
                 modelParams
             );
             
-            console.log('✅ Porcupine worker created');
+            logger.info('Porcupine worker created');
             
             this.isInitialized = true;
-            console.log('✅ Porcupine wake word detector initialized');
+            logger.info('Porcupine wake word detector initialized');
             return true;
         } catch (error) {
-            console.error('Failed to initialize Porcupine:', error);
+            logger.error('Failed to initialize Porcupine', { error });
             throw error;
         }
     }
@@ -76,20 +84,20 @@ class WakeWordDetector {
         }
         
         if (!window.PorcupineWeb) {
-            throw new Error('Porcupine library failed to load from CDN');
+            throw new Error('Porcupine library failed to load');
         }
         
         if (!window.WebVoiceProcessor) {
-            throw new Error('WebVoiceProcessor library failed to load from CDN');
+            throw new Error('WebVoiceProcessor library failed to load');
         }
         
-        console.log('✅ Porcupine and WebVoiceProcessor libraries loaded from CDN');
+        logger.info('Porcupine and WebVoiceProcessor libraries loaded');
     }
     
 
     async start(onDetectedCallback) {
         if (!this.isInitialized) {
-            console.error('Porcupine not initialized');
+            logger.error('Porcupine not initialized');
             return;
         }
         
@@ -99,7 +107,7 @@ class WakeWordDetector {
         const { WebVoiceProcessor } = window.WebVoiceProcessor;
         await WebVoiceProcessor.subscribe(this.porcupineWorker);
         
-        console.log('✅ Wake word detector started and subscribed to WebVoiceProcessor');
+        logger.info('Wake word detector started and subscribed to WebVoiceProcessor');
     }
     
 
@@ -114,9 +122,9 @@ class WakeWordDetector {
         try {
             const { WebVoiceProcessor } = window.WebVoiceProcessor;
             await WebVoiceProcessor.unsubscribe(this.porcupineWorker);
-            console.log('✅ Unsubscribed from WebVoiceProcessor');
+            logger.info('Unsubscribed from WebVoiceProcessor');
         } catch (error) {
-            console.error('Error unsubscribing from WebVoiceProcessor:', error);
+            logger.error('Error unsubscribing from WebVoiceProcessor', { error });
         }
     }
     
@@ -130,7 +138,7 @@ class WakeWordDetector {
             return;
         }
         
-        console.log('✅ Wake word "Hey Quantum" detected!');
+        logger.info('Wake word detected', { phrase: config.wakeWord.phrase });
         
         this.cooldownUntil = Date.now() + config.wakeWord.cooldownMs;
         
@@ -152,13 +160,13 @@ class WakeWordDetector {
                 await this.porcupineWorker.release();
                 await this.porcupineWorker.terminate();
             } catch (error) {
-                console.error('Error cleaning up Porcupine:', error);
+                logger.error('Error cleaning up Porcupine', { error });
             }
             this.porcupineWorker = null;
         }
         
         this.isInitialized = false;
-        console.log('✅ Wake word detector cleaned up');
+        logger.info('Wake word detector cleaned up');
     }
 }
 
@@ -0,0 +1,77 @@
+import { createMockGroqServer } from './server/mocks/groqServer.js';
+import { createMockGoogleTTSServer } from './server/mocks/googleTTSServer.js';
+import { parseOutcomes } from './server/mocks/mockServer.js';
+
+/**
+ * Local stand-ins for Groq STT and Google TTS, so the whole pipeline runs
+ * without network access or credentials (`npm run mock-upstreams`). Set up
+ * through the environment:
+ *
+ *   MOCK_HOST=127.0.0.1  MOCK_STT_PORT=9081  MOCK_TTS_PORT=9082
+ *   MOCK_STT_TRANSCRIPTS=what is qplus|who are you   returned in order, cycling
+ *   MOCK_STT_DELAY_MS=0  MOCK_TTS_DELAY_MS=0          added to every request
+ *   MOCK_STT_OUTCOMES=ok,503,hang                     per request, cycling:
+ *   MOCK_TTS_OUTCOMES=ok                              ok, hang, malformed or a status
+ *   MOCK_STT_API_KEY=                                 require this key (any by default)
+ *   MOCK_TTS_VOICES=en-US-Standard-F,...              voices that exist
+ */
+const env = process.env;
+const host = env.MOCK_HOST || '127.0.0.1';
+
+function intSetting(name, fallback) {
+    const value = env[name] === undefined || env[name] === '' ? fallback : Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        console.error(`ERROR: ${name} must be a non-negative integer, got "${env[name]}"`);
+        process.exit(1);
+    }
+    return value;
+}
+
+let servers;
+try {
+    const log = line => console.log(`${new Date().toISOString()} ${line}`);
+    
+    servers = [
+        {
+            server: createMockGroqServer({
+                transcripts: env.MOCK_STT_TRANSCRIPTS ? env.MOCK_STT_TRANSCRIPTS.split('|') : undefined,
+                apiKey: env.MOCK_STT_API_KEY || null,
+                delayMs: intSetting('MOCK_STT_DELAY_MS', 0),
+                outcomes: parseOutcomes(env.MOCK_STT_OUTCOMES),
+                log
+            }),
+            port: intSetting('MOCK_STT_PORT', 9081),
+            describe: url => `Mock Groq STT on ${url}/openai/v1\n  STT_PROVIDER=groq STT_BASE_URL=${url}/openai/v1 GROQ_API_KEY=${env.MOCK_STT_API_KEY || 'mock'}`
+        },
+        {
+            server: createMockGoogleTTSServer({
+                voices: env.MOCK_TTS_VOICES ? env.MOCK_TTS_VOICES.split(',') : undefined,
+                delayMs: intSetting('MOCK_TTS_DELAY_MS', 0),
+                outcomes: parseOutcomes(env.MOCK_TTS_OUTCOMES),
+                log
+            }),
+            port: intSetting('MOCK_TTS_PORT', 9082),
+            describe: url => `Mock Google TTS on ${url}\n  TTS_PROVIDER=google TTS_BASE_URL=${url}`
+        }
+    ];
+} catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+}
+
+for (const { server, port, describe } of servers) {
+    server.listen(port, host, () => {
+        console.log(describe(`http://${host}:${server.address().port}`));
+    });
+}
+
+function shutdown() {
+    for (const { server } of servers) {
+        server.close();
+        // `hang` requests never finish on their own
+        server.closeAllConnections();
+    }
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -1,352 +1,642 @@
 import { WebSocketServer } from 'ws';
 import http from 'http';
-import https from 'https';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import textToSpeech from '@google-cloud/text-to-speech';
-import FormData from 'form-data';
+import { loadConfig } from './server/config.js';
+import { createSTTProvider } from './server/stt/index.js';
+import { createTTSProvider } from './server/tts/index.js';
+import { negotiateProtocol } from './server/protocol.js';
+import { splitIntoSegments, splitSsmlIntoSegments } from './server/tts/sentencePipeline.js';
+import TTSCache from './server/tts/ttsCache.js';
+import CachingTTSProvider from './server/tts/cachingProvider.js';
+import FailoverProvider from './server/resilience/failoverProvider.js';
+import KnowledgeBase from './js/services/knowledgeBase.js';
+import { buildRuntimeConfig } from './server/runtimeConfig.js';
+import { createStaticHandler } from './server/http/staticFiles.js';
+import OriginPolicy from './server/http/cors.js';
+import SessionTokens, { AuthError } from './server/auth/sessionTokens.js';
+import UsageLimiter, { limitErrorMessage } from './server/limits/usageLimiter.js';
+import { getClientAddress } from './server/http/clientAddress.js';
+import ReadinessCheck from './server/health.js';
+import ConnectionDrainer from './server/shutdown.js';
+import SessionRecorder from './server/recording/sessionRecorder.js';
+import { createProxyMetrics } from './server/metrics/proxyMetrics.js';
+import logger from './server/logger.js';
+import ChannelTransport from './server/channels/transport.js';
+import STTChannel from './server/channels/sttChannel.js';
+import TTSChannel from './server/channels/ttsChannel.js';
+import SessionConnection from './server/channels/sessionConnection.js';
+import { correlationId, withClientSession } from './server/channels/correlation.js';
+import { validateClientMessage } from './js/protocol/messages.js';
+import { randomUUID } from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PORT = 8080;
+let config;
+let sttProvider;
+let ttsProvider;
+let ttsCache = null;
+let cachingTTSProvider = null;
 
-// Read API keys from .env file
-let GROQ_API_KEY = '';
-let GOOGLE_CREDENTIALS_PATH = '';
-let PICOVOICE_ACCESS_KEY = '';
+// Fallbacks take their endpoint settings (URL, key, model, voice) from the
+// *_FALLBACK_* variables and everything else from the primary's settings
+function sttProviderOptions(name, endpoint) {
+    return {
+        apiKey: endpoint.apiKey || (name === 'groq' ? config.credentials.groqApiKey : ''),
+        baseUrl: endpoint.baseUrl,
+        model: endpoint.model,
+        uploadFormat: endpoint.uploadFormat,
+        responseFormat: endpoint.responseFormat,
+        onUpload: recordUpload,
+        language: config.stt.language,
+        timeoutMs: config.stt.timeoutMs,
+        transcripts: config.stt.mockTranscripts,
+        delayMs: config.stt.mockDelayMs
+    };
+}
 
-try {
-    const envPath = path.join(__dirname, '.env');
-    if (fs.existsSync(envPath)) {
-        const envContent = fs.readFileSync(envPath, 'utf8');
-        
-        const groqMatch = envContent.match(/GROQ_API_KEY=(.+)/);
-        if (groqMatch) {
-            GROQ_API_KEY = groqMatch[1].trim();
-        }
-        
-        const googleMatch = envContent.match(/GOOGLE_APPLICATION_CREDENTIALS=(.+)/);
-        if (googleMatch) {
-            GOOGLE_CREDENTIALS_PATH = googleMatch[1].trim();
-        }
-        
-        const picovoiceMatch = envContent.match(/PICOVOICE_ACCESS_KEY=(.+)/);
-        if (picovoiceMatch) {
-            PICOVOICE_ACCESS_KEY = picovoiceMatch[1].trim();
-        }
-    }
-} catch (error) {
-    console.error('Error reading .env file:', error);
+// Called from the STT adapters, only once requests are being served
+function recordUpload({ provider, format, pcmBytes, uploadBytes, encodeMs }) {
+    metrics.sttUploadBytes.inc({ provider, format }, uploadBytes);
+    metrics.sttUploadCompression.observe({ provider, format }, pcmBytes / uploadBytes);
+    metrics.sttUploadEncode.observe({ format }, encodeMs / 1000);
 }
 
-if (!GROQ_API_KEY) {
-    console.error('ERROR: GROQ_API_KEY not found in .env file');
-    process.exit(1);
+function ttsProviderOptions(endpoint) {
+    return {
+        credentialsPath: config.credentials.googleCredentialsPath,
+        baseUrl: endpoint.baseUrl,
+        apiKey: endpoint.apiKey,
+        model: endpoint.model,
+        voice: endpoint.voice,
+        languageCode: config.tts.languageCode,
+        speakingRate: config.tts.speakingRate,
+        speed: config.tts.speakingRate,
+        pitch: config.tts.pitch,
+        sampleRate: config.tts.sampleRate,
+        command: config.tts.command,
+        args: config.tts.commandArgs,
+        timeoutMs: config.tts.timeoutMs
+    };
 }
 
-if (!GOOGLE_CREDENTIALS_PATH) {
-    console.error('ERROR: GOOGLE_APPLICATION_CREDENTIALS not found in .env file');
-    process.exit(1);
+function withFailover(providers) {
+    return new FailoverProvider({
+        providers,
+        retry: {
+            retries: config.upstream.retries,
+            baseDelayMs: config.upstream.retryBaseDelayMs,
+            maxDelayMs: config.upstream.retryMaxDelayMs
+        },
+        circuitBreaker: config.upstream.circuitBreaker
+    });
 }
 
-if (!PICOVOICE_ACCESS_KEY) {
-    console.error('ERROR: PICOVOICE_ACCESS_KEY not found in .env file');
+try {
+    config = loadConfig({ rootDir: __dirname });
+    
+    sttProvider = withFailover([
+        createSTTProvider(config.stt.provider, sttProviderOptions(config.stt.provider, config.stt)),
+        ...config.stt.fallback.providers.map(name => createSTTProvider(name, sttProviderOptions(name, config.stt.fallback)))
+    ]);
+    
+    let primaryTTSProvider = createTTSProvider(config.tts.provider, ttsProviderOptions(config.tts));
+    
+    // Only the primary's audio is cached: a fallback voice must not be
+    // served from the cache once the primary is back. The failover chain
+    // answers hits before the primary's circuit breaker.
+    if (config.tts.cache.enabled) {
+        ttsCache = new TTSCache({
+            maxEntries: config.tts.cache.maxEntries,
+            maxBytes: Math.floor(config.tts.cache.maxMegabytes * 1024 * 1024),
+            dir: config.tts.cache.dir,
+            maxDiskBytes: Math.floor(config.tts.cache.maxDiskMegabytes * 1024 * 1024)
+        });
+        primaryTTSProvider = cachingTTSProvider = new CachingTTSProvider(primaryTTSProvider, ttsCache);
+    }
+    
+    ttsProvider = withFailover([
+        primaryTTSProvider,
+        ...config.tts.fallback.providers.map(name => createTTSProvider(name, ttsProviderOptions(config.tts.fallback)))
+    ]);
+} catch (error) {
+    console.error(`ERROR: ${error.message}`);
     process.exit(1);
 }
 
-process.env.GOOGLE_APPLICATION_CREDENTIALS = GOOGLE_CREDENTIALS_PATH;
+logger.configure(config.logging);
 
-const ttsClient = new textToSpeech.TextToSpeechClient();
+const originPolicy = new OriginPolicy({ allowedOrigins: config.cors.allowedOrigins, trustProxy: config.server.trustProxy });
+const sessionTokens = new SessionTokens({
+    secret: config.auth.secret,
+    ttlSeconds: config.auth.tokenTtlSeconds
+});
+
+const usageLimiter = new UsageLimiter({
+    enabled: config.limits.enabled,
+    limits: {
+        connections: config.limits.connections,
+        audioSeconds: config.limits.audioSecondsPerMinute,
+        partialAudioSeconds: config.limits.partialAudioSecondsPerMinute,
+        ttsChars: config.limits.ttsCharsPerMinute,
+        maxUtteranceBytes: config.limits.maxUtteranceBytes,
+        maxUtteranceSeconds: config.limits.maxUtteranceSeconds
+    }
+});
+
+const metrics = createProxyMetrics({ ttsCache, upstreams: { stt: sttProvider, tts: ttsProvider } });
+
+for (const [service, provider] of Object.entries({ stt: sttProvider, tts: ttsProvider })) {
+    const upstreamLog = logger.child({ service });
+    
+    provider.on('retry', ({ provider: name, attempt, delayMs, error }) => {
+        metrics.upstreamRetries.inc({ service, provider: name });
+        upstreamLog.warn('Retrying upstream request', { provider: name, attempt, delayMs, error });
+    });
+    provider.on('failover', ({ from, to, error }) => {
+        metrics.upstreamFailovers.inc({ service, from, to });
+        upstreamLog.warn('Failing over to next provider', { from, to, error });
+    });
+    provider.on('circuit', ({ provider: name, state, previous }) => {
+        upstreamLog[state === 'open' ? 'warn' : 'info']('Circuit breaker state changed', { provider: name, state, previous });
+    });
+    provider.on('degraded', ({ degraded, provider: servedBy, error }) => {
+        if (degraded) {
+            upstreamLog.warn('Running degraded', { primary: provider.name, servedBy, error });
+        } else {
+            upstreamLog.info('Primary provider recovered', { primary: provider.name });
+        }
+    });
+}
+
+const drainer = new ConnectionDrainer({
+    timeoutMs: config.server.shutdownTimeoutMs,
+    reconnectDelayMs: config.server.shutdownReconnectDelayMs
+});
+
+const recorder = config.recording.enabled
+    ? new SessionRecorder({ dir: config.recording.dir || path.join(__dirname, 'recordings') })
+    : null;
+
+const readiness = new ReadinessCheck({
+    timeoutMs: config.health.checkTimeoutMs,
+    cacheMs: config.health.cacheMs,
+    checks: {
+        stt: options => sttProvider.checkReady(options),
+        tts: options => ttsProvider.checkReady(options)
+    }
+});
+
+// The page, its modules, the wake word models and vendored copies of the
+// Porcupine/WebVoiceProcessor bundles, so `npm start` runs the whole app
+const serveStatic = config.static.enabled
+    ? createStaticHandler({
+        maxAgeSeconds: config.static.maxAgeSeconds,
+        mounts: [
+            { prefix: '/js/', dir: path.join(__dirname, 'js'), extensions: ['.js'] },
+            { prefix: '/vendor/porcupine-web/', dir: path.join(__dirname, 'node_modules/@picovoice/porcupine-web/dist/iife'), extensions: ['.js', '.map'] },
+            { prefix: '/vendor/web-voice-processor/', dir: path.join(__dirname, 'node_modules/@picovoice/web-voice-processor/dist/iife'), extensions: ['.js', '.map'] },
+            { prefix: '/', dir: __dirname, files: ['index.html', 'style.css', 'knowledge_base.json'], extensions: ['.ppn', '.pv', '.wasm'] }
+        ]
+    })
+    : null;
 
 const server = http.createServer((req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    const corsAllowed = originPolicy.applyCors(req, res);
+    const pathname = new URL(req.url, 'http://localhost').pathname;
     
     if (req.method === 'OPTIONS') {
-        res.writeHead(200);
+        res.writeHead(corsAllowed ? 204 : 403);
         res.end();
         return;
     }
     
-    if (req.url === '/porcupine-key') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ key: PICOVOICE_ACCESS_KEY }));
+    if (pathname === '/healthz') {
+        sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+        return;
+    }
+    
+    if (pathname === '/readyz') {
+        // Out of the load balancer's rotation as soon as the drain starts
+        if (drainer.draining) {
+            sendJson(res, 503, { status: 'draining', ready: false });
+            return;
+        }
+        
+        readiness.run().then((result) => {
+            sendJson(res, result.ready ? 200 : 503, { status: result.ready ? 'ready' : 'not ready', ...result });
+        });
+        return;
+    }
+    
+    if (pathname === '/metrics' && config.metrics.enabled) {
+        handleMetricsRequest(req, res);
+        return;
+    }
+    
+    if (pathname === '/session') {
+        handleSessionRequest(req, res);
+        return;
+    }
+    
+    if (pathname === '/config') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(buildRuntimeConfig({ config, req, sttProvider, ttsProvider })));
+        return;
+    }
+    
+    if (pathname === '/porcupine-key') {
+        const session = authenticate(req, res, req.headers.authorization?.replace(/^Bearer\s+/i, ''));
+        if (!session) {
+            return;
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify({ key: config.credentials.picovoiceAccessKey }));
+        return;
+    }
+    
+    if (pathname === '/usage') {
+        const session = authenticate(req, res, req.headers.authorization?.replace(/^Bearer\s+/i, ''));
+        if (!session) {
+            return;
+        }
+        
+        sendJson(res, 200, usageLimiter.getUsage({
+            ip: getClientAddress(req, config.server.trustProxy),
+            sessionId: session.sid
+        }));
+        return;
+    }
+    
+    if (pathname === '/tts-cache' || pathname === '/tts-cache/prewarm') {
+        const session = authenticate(req, res, req.headers.authorization?.replace(/^Bearer\s+/i, ''));
+        if (!session) {
+            return;
+        }
+        
+        handleTTSCacheRequest(req, res, pathname);
+        return;
+    }
+    
+    if (serveStatic) {
+        if (serveStatic(req, res)) {
+            return;
+        }
+        
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found\n');
         return;
     }
     
     res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('WebSocket Proxy Server Running (Groq + Google TTS + Porcupine)\n');
+    res.end(`WebSocket Proxy Server Running (${sttProvider.name} STT + ${ttsProvider.name} TTS + Porcupine)\n`);
 });
 
 
-const wss = new WebSocketServer({ server });
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
 
-wss.on('connection', (clientWs, req) => {
-    console.log('Client connected');
+
+// Open by default for in-cluster scrapers; METRICS_TOKEN requires it as a
+// Bearer token so the endpoint can be exposed publicly
+function handleMetricsRequest(req, res) {
+    if (config.metrics.token) {
+        const token = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+        if (token !== config.metrics.token) {
+            sendJson(res, 401, { error: 'Invalid metrics token' });
+            return;
+        }
+    }
     
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const service = url.searchParams.get('service');
+    res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(metrics.registry.render());
+}
+
+
+// Pages on an allowed origin exchange a POST for a short-lived session token.
+// Browsers always send Origin on POST, so other sites cannot mint tokens.
+function handleSessionRequest(req, res) {
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST, OPTIONS');
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
     
-    if (service === 'stt') {
-        handleSTTConnection(clientWs);
-    } else if (service === 'tts') {
-        handleTTSConnection(clientWs);
-    } else {
-        console.error('Unknown service:', service);
-        clientWs.close();
+    const origin = req.headers.origin;
+    if (!originPolicy.isAllowed(origin, req)) {
+        logger.warn('Session refused for origin', { origin: origin || '(none)' });
+        sendJson(res, 403, { error: 'Origin not allowed' });
+        return;
     }
-});
+    
+    if (!config.auth.enabled) {
+        sendJson(res, 200, { token: null, sessionId: randomUUID(), expiresAt: null });
+        return;
+    }
+    
+    sendJson(res, 200, sessionTokens.issue({ origin }));
+}
 
 
-function handleSTTConnection(clientWs) {
-    console.log('STT service connected (Groq Whisper - Optimized)');
+// GET /tts-cache returns hit/miss stats; POST /tts-cache/prewarm synthesizes
+// the knowledge base answers that are not cached yet
+async function handleTTSCacheRequest(req, res, pathname) {
+    if (!ttsCache) {
+        sendJson(res, 404, { error: 'TTS cache is disabled' });
+        return;
+    }
     
-    let audioBuffer = [];
-    let isTranscribing = false;
+    if (pathname === '/tts-cache') {
+        sendJson(res, 200, ttsCache.getStats());
+        return;
+    }
     
-    clientWs.on('message', async (data) => {
-        try {
-            const message = JSON.parse(data);
-            
-            switch (message.type) {
-                case 'start':
-                    
-                    clientWs.send(JSON.stringify({
-                        type: 'ready',
-                        message: 'Groq STT ready'
-                    }));
-                    break;
-                    
-                case 'audio':
-                    
-                    const audioData = Buffer.from(message.audio, 'base64');
-                    audioBuffer.push(audioData);
-                    break;
-                    
-                case 'transcribe':
-                    
-                    if (!isTranscribing && audioBuffer.length > 0) {
-                        isTranscribing = true;
-                        
-                        const startTime = Date.now();
-                        const audioBlob = Buffer.concat(audioBuffer);
-                        audioBuffer = []; 
-                        
-                        
-                        transcribeWithGroq(audioBlob)
-                            .then(transcript => {
-                                const transcriptionTime = Date.now() - startTime;
-                                console.log(`✅ Groq transcription completed in ${transcriptionTime}ms`);
-                                
-                                clientWs.send(JSON.stringify({
-                                    type: 'transcript',
-                                    text: transcript
-                                }));
-                            })
-                            .catch(error => {
-                                console.error('Transcription error:', error);
-                                clientWs.send(JSON.stringify({
-                                    type: 'error',
-                                    message: error.message
-                                }));
-                            })
-                            .finally(() => {
-                                isTranscribing = false;
-                            });
-                    }
-                    break;
-            }
-        } catch (error) {
-            console.error('STT message error:', error);
-        }
-    });
+    if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST, OPTIONS');
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
     
-    clientWs.on('close', () => {
-        console.log('STT client disconnected');
-    });
+    try {
+        sendJson(res, 200, await prewarmTTSCache());
+    } catch (error) {
+        sendJson(res, 500, { error: error.message });
+    }
 }
 
 
-function handleTTSConnection(clientWs) {
-    console.log('TTS service connected (Google Wavenet - Optimized)');
+let prewarmInProgress = null;
+
+// Every answer the assistant can give: the knowledge base plus the fallback.
+// Segmented like live requests so the pipeline hits the same cache keys;
+// answers with SSML are spoken from it, so that is what gets cached.
+function prewarmTTSCache() {
+    if (!prewarmInProgress) {
+        const knowledgeBase = new KnowledgeBase({ log: logger });
+        knowledgeBase.setData(JSON.parse(fs.readFileSync(path.join(__dirname, 'knowledge_base.json'), 'utf8')));
+        const texts = knowledgeBase.getAnswers().map(({ answer, ssml }) => ssml ? { ssml } : answer);
+        const segment = config.tts.pipeline.enabled
+            ? (text, { ssml }) => (ssml ? splitSsmlIntoSegments(text) : splitIntoSegments(text))
+            : text => [text];
+        const startTime = Date.now();
+        
+        prewarmInProgress = cachingTTSProvider.prewarm(texts, segment)
+            .then((result) => {
+                logger.info('TTS cache pre-warmed', { durationMs: Date.now() - startTime, ...result });
+                return result;
+            })
+            .finally(() => {
+                prewarmInProgress = null;
+            });
+    }
+    
+    return prewarmInProgress;
+}
+
+
+// Returns the verified session claims, or answers the request with 401/403
+// and returns null.
+function authenticate(req, res, token) {
+    const origin = req.headers.origin;
     
-    clientWs.on('message', async (data) => {
+    if (origin && !originPolicy.isAllowed(origin, req)) {
+        sendJson(res, 403, { error: 'Origin not allowed' });
+        return null;
+    }
+    
+    if (!config.auth.enabled) {
+        return { sid: null };
+    }
+    
+    try {
+        return sessionTokens.verify(token, { origin });
+    } catch (error) {
+        if (!(error instanceof AuthError)) {
+            throw error;
+        }
+        sendJson(res, 401, { error: error.message });
+        return null;
+    }
+}
+
+
+const wss = new WebSocketServer({
+    server,
+    verifyClient: ({ origin, req }, callback) => {
+        if (drainer.draining) {
+            callback(false, 503, 'Server shutting down');
+            return;
+        }
+        
+        if (origin && !originPolicy.isAllowed(origin, req)) {
+            logger.warn('WebSocket refused for origin', { origin });
+            callback(false, 403, 'Origin not allowed');
+            return;
+        }
+        
+        if (!config.auth.enabled) {
+            req.session = { sid: null };
+            callback(true);
+            return;
+        }
+        
         try {
-            const message = JSON.parse(data);
-            
-            switch (message.type) {
-                case 'start':
-                
-                    clientWs.send(JSON.stringify({
-                        type: 'ready',
-                        message: 'Google TTS ready'
-                    }));
-                    break;
-                    
-                case 'speak':
-                    const text = message.text;
-                    const startTime = Date.now();
-                    
-                    try {
-                        await synthesizeWithGoogleOptimized(text, clientWs);
-                        
-                        const synthesisTime = Date.now() - startTime;
-                        console.log(`✅ Google TTS completed in ${synthesisTime}ms`);
-                        
-                    
-                        clientWs.send(JSON.stringify({
-                            type: 'done'
-                        }));
-                    } catch (error) {
-                        console.error('TTS error:', error);
-                        clientWs.send(JSON.stringify({
-                            type: 'error',
-                            message: error.message
-                        }));
-                    }
-                    break;
-            }
+            const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+            req.session = sessionTokens.verify(token, { origin });
+            callback(true);
         } catch (error) {
-            console.error('TTS message error:', error);
+            logger.warn('WebSocket refused', { reason: error.message });
+            callback(false, 401, error.message);
         }
-    });
+    }
+});
+
+wss.on('connection', (clientWs, req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const service = url.searchParams.get('service');
+    
+    const client = {
+        ip: getClientAddress(req, config.server.trustProxy),
+        sessionId: req.session.sid
+    };
+    
+    const connectionId = randomUUID().slice(0, 8);
+    const log = logger.child({ service, sessionId: client.sessionId, connectionId });
+    log.info('Client connected', { ip: client.ip });
+    
+    if (!['session', 'stt', 'tts'].includes(service)) {
+        log.error('Unknown service');
+        clientWs.close();
+        return;
+    }
+    
+    const admission = usageLimiter.openConnection(client);
+    if (!admission.ok) {
+        log.warn('Connection refused', { ip: client.ip, reason: admission.message });
+        metrics.limitRejections.inc({ limit: admission.limit, scope: admission.scope });
+        new ChannelTransport(clientWs).send(limitErrorMessage(admission));
+        clientWs.close(1008, 'Rate limited');
+        return;
+    }
     
+    metrics.activeSessions.inc({ service });
     clientWs.on('close', () => {
-        console.log('TTS client disconnected');
+        usageLimiter.closeConnection(client);
+        metrics.activeSessions.dec({ service });
+    });
+    
+    const recording = recorder ? recorder.openSession({ sessionId: client.sessionId, connectionId }) : null;
+    
+    if (service === 'session') {
+        const session = new SessionConnection({ ws: clientWs, client, log, config, createChannel, recording });
+        drainer.add({ ws: clientWs, transport: session.transports.session, isBusy: () => session.isBusy() });
+    } else {
+        handleServiceConnection(clientWs, service, client, log, recording);
+    }
+});
+
+
+function createChannel(service, transport, client, log, recording = null) {
+    const Channel = service === 'stt' ? STTChannel : TTSChannel;
+    
+    return new Channel({
+        transport,
+        client,
+        log,
+        provider: service === 'stt' ? sttProvider : ttsProvider,
+        config,
+        usageLimiter,
+        metrics,
+        recording
     });
 }
 
 
-async function transcribeWithGroq(audioBuffer) {
-    return new Promise((resolve, reject) => {
-        const form = new FormData();
-        
-        const wavBuffer = createWavFile(audioBuffer);
-        
-        form.append('file', wavBuffer, {
-            filename: 'audio.wav',
-            contentType: 'audio/wav'
-        });
-        form.append('model', 'whisper-large-v3-turbo'); 
-        form.append('language', 'en');
-        form.append('response_format', 'json');
-        form.append('temperature', '0'); 
-        
-        const options = {
-            hostname: 'api.groq.com',
-            path: '/openai/v1/audio/transcriptions',
-            method: 'POST',
-            headers: {
-                ...form.getHeaders(),
-                'Authorization': `Bearer ${GROQ_API_KEY}`
+// Legacy one-socket-per-service routes (`?service=stt`, `?service=tts`)
+function handleServiceConnection(clientWs, service, client, connectionLog, recording) {
+    const transport = new ChannelTransport(clientWs);
+    const channel = createChannel(service, transport, client, connectionLog, recording);
+    drainer.add({ ws: clientWs, transport, isBusy: () => channel.isBusy() });
+    
+    clientWs.on('message', (data, isBinary) => {
+        if (isBinary) {
+            if (service === 'stt') {
+                channel.handleAudio(Buffer.from(data));
+            } else {
+                channel.log.warn('TTS service ignoring unexpected binary frame');
+                transport.sendError('BAD_MESSAGE', 'The TTS service does not accept audio');
             }
-        };
+            return;
+        }
         
-        const req = https.request(options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    resolve(result.text || '');
-                } catch (error) {
-                    reject(new Error('Failed to parse Groq response'));
-                }
-            });
-        });
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            transport.sendError('BAD_MESSAGE', 'Messages must be JSON');
+            return;
+        }
         
-        req.on('error', (error) => {
-            reject(error);
-        });
+        const problem = validateClientMessage(service, message);
+        if (problem) {
+            channel.log.warn('Message rejected', { reason: problem });
+            transport.sendError('BAD_MESSAGE', problem, { turnId: correlationId(message.turnId) });
+            return;
+        }
         
-
-        req.setTimeout(5000, () => {
-            req.destroy();
-            reject(new Error('Groq API timeout'));
-        });
+        if (message.type === 'start') {
+            transport.protocol = negotiateProtocol(message);
+            channel.useLog(withClientSession(connectionLog, client, message));
+            recording?.useClientSession(correlationId(message.sessionId));
+        }
         
-        form.pipe(req);
+        channel.handleMessage(message).catch((error) => {
+            channel.log.error(`${service.toUpperCase()} message error`, { error });
+        });
+    });
+    
+    clientWs.on('close', () => {
+        channel.close();
     });
 }
 
-
-async function synthesizeWithGoogleOptimized(text, clientWs) {
-    const request = {
-        input: { text: text },
-        voice: {
-            languageCode: 'en-US',
-            name: 'en-US-Standard-F', 
-            ssmlGender: 'FEMALE'
-        },
-        audioConfig: {
-            audioEncoding: 'LINEAR16',
-            sampleRateHertz: 16000,
-            speakingRate: 1.15, 
-            pitch: 0.0
-        }
-    };
-    
-    const [response] = await ttsClient.synthesizeSpeech(request);
-    const audioContent = response.audioContent;
+server.listen(config.server.port, config.server.host, () => {
+    const port = server.address().port;
     
-    const chunkSize = 800; 
+    logger.info('WebSocket proxy listening', {
+        url: `ws://${config.server.host}:${port}`,
+        sttProvider: sttProvider.name,
+        ttsProvider: ttsProvider.name,
+        sttFallbacks: config.stt.fallback.providers,
+        ttsFallbacks: config.tts.fallback.providers,
+        ttsCache: ttsCache ? { maxEntries: config.tts.cache.maxEntries, dir: config.tts.cache.dir } : false,
+        recording: recorder ? recorder.dir : false,
+        picovoiceKey: `${config.credentials.picovoiceAccessKey.substring(0, 10)}...`,
+        app: serveStatic ? `http://localhost:${port}/` : null,
+        logLevel: config.logging.level,
+        logFile: config.logging.file
+    });
+    if (!config.auth.enabled) {
+        logger.warn('Session authentication is DISABLED (AUTH_ENABLED=false)');
+    } else if (sessionTokens.ephemeralSecret) {
+        logger.warn('SESSION_SECRET not set: using a random secret, tokens will not survive a restart');
+    }
     
-    for (let i = 0; i < audioContent.length; i += chunkSize) {
-        const chunk = audioContent.slice(i, i + chunkSize);
-        
-        clientWs.send(JSON.stringify({
-            type: 'audio',
-            data: chunk.toString('base64')
-        }));
-        
-        await new Promise(resolve => setTimeout(resolve, 10));
+    if (ttsCache && config.tts.cache.prewarm) {
+        prewarmTTSCache().catch((error) => {
+            logger.error('TTS cache pre-warm failed', { error });
+        });
     }
-}
+});
 
-function createWavFile(pcmData) {
-    const sampleRate = 16000;
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = pcmData.length;
-    
-    const header = Buffer.alloc(44);
-    
+
+// SIGTERM/SIGINT: stop taking sessions, let turns in progress finish up to
+// SHUTDOWN_TIMEOUT_MS, then exit. A second signal exits at once.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn('Forced exit', { signal });
+        process.exit(1);
+    }
+    shuttingDown = true;
     
-    header.write('RIFF', 0);
-    header.writeUInt32LE(36 + dataSize, 4);
-    header.write('WAVE', 8);
+    logger.info('Shutting down', { signal, connections: drainer.size, timeoutMs: config.server.shutdownTimeoutMs });
     
-
-    header.write('fmt ', 12);
-    header.writeUInt32LE(16, 16);
-    header.writeUInt16LE(1, 20);
-    header.writeUInt16LE(numChannels, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(byteRate, 28);
-    header.writeUInt16LE(blockAlign, 32);
-    header.writeUInt16LE(bitsPerSample, 34);
+    try {
+        const result = await drainer.drain();
+        logger.info('Connections drained', result);
+    } catch (error) {
+        logger.error('Connection drain failed', { error });
+    }
     
-    header.write('data', 36);
-    header.writeUInt32LE(dataSize, 40);
+    wss.close();
+    server.close();
+    server.closeAllConnections();
     
-    return Buffer.concat([header, pcmData]);
+    if (recorder) {
+        await recorder.flush();
+    }
+    await logger.close();
+    process.exit(0);
 }
 
-server.listen(PORT, () => {
-    console.log(`✓ WebSocket Proxy Server running on ws://localhost:${PORT}`);
-    console.log(`✓ Groq API Key loaded: ${GROQ_API_KEY.substring(0, 10)}...`);
-    console.log(`✓ Google Credentials: ${GOOGLE_CREDENTIALS_PATH}`);
-    console.log(`✓ Picovoice Access Key loaded: ${PICOVOICE_ACCESS_KEY.substring(0, 10)}...`);
-    console.log(`✓ OPTIMIZED for ultra-low latency (<800ms target)`);
-    console.log(`Ready to proxy STT (Groq Turbo), TTS (Google Standard), and Porcupine`);
-});
\ No newline at end of file
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
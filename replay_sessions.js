@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './server/config.js';
+import { createSTTProvider } from './server/stt/index.js';
+import FailoverProvider from './server/resilience/failoverProvider.js';
+import KnowledgeBase from './js/services/knowledgeBase.js';
+import { replayTurns } from './server/recording/replay.js';
+import logger from './server/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = `Usage: npm run replay -- [dir...] [--live] [--knowledge-base file] [--json] [--config file]
+
+Replays turns saved with RECORDING_ENABLED=true through the proxy's STT path
+and reports where the transcript or the chosen answer differs from the
+recording. Each dir may be the recordings root (default RECORDING_DIR),
+one session's directory or one turn's.
+
+  --live              transcribe with the configured STT_PROVIDER instead of
+                      a mock that returns the recorded transcript
+  --knowledge-base    answers to pick from (default knowledge_base.json)
+  --json              print the results as JSON
+
+Exits with 1 when any turn changed.`;
+
+function parseArgs(argv) {
+    const args = { dirs: [], live: false, knowledgeBase: path.join(__dirname, 'knowledge_base.json'), json: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--live':
+                args.live = true;
+                break;
+            case '--knowledge-base':
+                args.knowledgeBase = path.resolve(argv[++i]);
+                break;
+            case '--json':
+                args.json = true;
+                break;
+            case '--config':
+                i++;
+                break;
+            case '--help':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (argv[i].startsWith('--')) {
+                    console.error(`Unknown option ${argv[i]}\n\n${USAGE}`);
+                    process.exit(2);
+                }
+                args.dirs.push(path.resolve(argv[i]));
+        }
+    }
+    
+    return args;
+}
+
+function formatValue(value) {
+    return value === null ? 'nothing' : JSON.stringify(value);
+}
+
+function printResults(results) {
+    for (const result of results) {
+        const name = path.relative(process.cwd(), result.dir) || '.';
+        
+        if (result.skipped) {
+            console.log(`SKIP     ${name} (${result.skipped})`);
+        } else if (result.changes.length === 0) {
+            console.log(`SAME     ${name}`);
+        } else {
+            console.log(`CHANGED  ${name}`);
+            for (const { field, expected, actual } of result.changes) {
+                console.log(`    ${field}: ${formatValue(expected)} -> ${formatValue(actual)}`);
+            }
+            if (result.actual.error) {
+                console.log(`    error: ${result.actual.error}`);
+            }
+        }
+    }
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+let config;
+try {
+    // Replay neither serves the page nor synthesizes speech, and with the
+    // mock needs no STT credentials either
+    config = loadConfig({
+        rootDir: __dirname,
+        env: {
+            ...process.env,
+            PICOVOICE_ACCESS_KEY: 'unused',
+            TTS_PROVIDER: 'command',
+            TTS_COMMAND: 'unused',
+            ...(args.live ? {} : { STT_PROVIDER: 'mock' })
+        }
+    });
+} catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(2);
+}
+
+// Only warnings, on stderr: stdout carries the results, and --json must
+// stay parseable
+logger.configure({ ...config.logging, level: 'warn', file: null });
+
+// At this level the knowledge base's match lines are dropped too
+const knowledgeBase = new KnowledgeBase({ log: logger });
+knowledgeBase.setData(JSON.parse(fs.readFileSync(args.knowledgeBase, 'utf8')));
+
+function createProvider(turn) {
+    const provider = args.live
+        ? createSTTProvider(config.stt.provider, {
+            apiKey: config.stt.apiKey || (config.stt.provider === 'groq' ? config.credentials.groqApiKey : ''),
+            baseUrl: config.stt.baseUrl,
+            model: config.stt.model,
+            uploadFormat: config.stt.uploadFormat,
+            responseFormat: config.stt.responseFormat,
+            language: config.stt.language,
+            timeoutMs: config.stt.timeoutMs
+        })
+        : createSTTProvider('mock', { transcripts: [turn.stt.transcript] });
+    
+    return new FailoverProvider({ providers: [provider] });
+}
+
+const dirs = args.dirs.length > 0 ? args.dirs : [config.recording.dir || path.join(__dirname, 'recordings')];
+
+try {
+    const results = await replayTurns(dirs, { config, createProvider, knowledgeBase });
+    const changed = results.filter(result => result.changes?.length > 0).length;
+    const skipped = results.filter(result => result.skipped).length;
+    
+    if (args.json) {
+        console.log(JSON.stringify(results.map(({ turn, ...result }) => result), null, 2));
+    } else {
+        printResults(results);
+        console.log(`\n${results.length - skipped} turns replayed, ${changed} changed, ${skipped} skipped`);
+    }
+    
+    await logger.close();
+    process.exit(changed > 0 ? 1 : 0);
+} catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(2);
+}
@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import { OUTPUT_SAMPLE_RATE } from './pcm.js';
+
+const BLOCK_SIZE = 4096;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 6;
+const MAX_RICE_PARAMETER = 14;
+const BITS_PER_SAMPLE = 16;
+
+const SUBFRAME_CONSTANT = 0b000000;
+const SUBFRAME_VERBATIM = 0b000001;
+const SUBFRAME_FIXED = 0b001000;
+
+const CRC8_TABLE = createCrcTable(0x07, 8);
+const CRC16_TABLE = createCrcTable(0x8005, 16);
+
+/**
+ * Lossless FLAC encoding of mono 16-bit little-endian PCM, for STT uploads.
+ * Each block is coded with the cheapest of a constant, a fixed polynomial
+ * predictor (orders 0-4) with partitioned Rice residuals, or verbatim
+ * samples, so a block never costs more than its raw size plus a header.
+ * Speech typically shrinks to 50-70% of the WAV size.
+ */
+export function encodeFlac(pcmData, { sampleRate = OUTPUT_SAMPLE_RATE, blockSize = BLOCK_SIZE } = {}) {
+    const sampleCount = Math.floor(pcmData.length / 2);
+    const samples = new Int32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        samples[i] = pcmData.readInt16LE(i * 2);
+    }
+    
+    const frameCount = Math.ceil(sampleCount / blockSize);
+    const writer = new BitWriter(sampleCount * 2 + 64 + frameCount * 32);
+    
+    writer.writeBytes(Buffer.from('fLaC', 'ascii'));
+    writeStreamInfo(writer, {
+        blockSize,
+        sampleRate,
+        sampleCount,
+        md5: crypto.createHash('md5').update(pcmData.subarray(0, sampleCount * 2)).digest()
+    });
+    
+    for (let frame = 0; frame < frameCount; frame++) {
+        writeFrame(writer, samples.subarray(frame * blockSize, (frame + 1) * blockSize), frame);
+    }
+    
+    return writer.toBuffer();
+}
+
+// The only metadata block: STREAMINFO, flagged as the last one
+function writeStreamInfo(writer, { blockSize, sampleRate, sampleCount, md5 }) {
+    writer.write(1, 1);
+    writer.write(0, 7);
+    writer.write(34, 24);
+    
+    writer.write(blockSize, 16);
+    writer.write(blockSize, 16);
+    writer.write(0, 24);
+    writer.write(0, 24);
+    writer.write(sampleRate, 20);
+    writer.write(0, 3);
+    writer.write(BITS_PER_SAMPLE - 1, 5);
+    writer.write(sampleCount, 36);
+    writer.writeBytes(md5);
+}
+
+function writeFrame(writer, block, frameNumber) {
+    const frameStart = writer.byteLength;
+    
+    writer.write(0b11111111111110, 14);
+    writer.write(0, 1);
+    writer.write(0, 1);
+    // Block size as 16-bit (n - 1) after the frame number; sample rate from STREAMINFO
+    writer.write(0b0111, 4);
+    writer.write(0b0000, 4);
+    writer.write(0b0000, 4);
+    writer.write(0b100, 3);
+    writer.write(0, 1);
+    writer.writeBytes(encodeFrameNumber(frameNumber));
+    writer.write(block.length - 1, 16);
+    writer.write(crc(CRC8_TABLE, 8, writer.bytesSince(frameStart)), 8);
+    
+    writeSubframe(writer, block);
+    
+    writer.alignToByte();
+    writer.write(crc(CRC16_TABLE, 16, writer.bytesSince(frameStart)), 16);
+}
+
+function writeSubframe(writer, block) {
+    if (block.every(sample => sample === block[0])) {
+        writer.write(SUBFRAME_CONSTANT << 1, 8);
+        writer.writeSigned(block[0], BITS_PER_SAMPLE);
+        return;
+    }
+    
+    const fixed = bestFixedPrediction(block);
+    const verbatimBits = block.length * BITS_PER_SAMPLE;
+    
+    if (!fixed || fixed.bits >= verbatimBits) {
+        writer.write(SUBFRAME_VERBATIM << 1, 8);
+        for (const sample of block) {
+            writer.writeSigned(sample, BITS_PER_SAMPLE);
+        }
+        return;
+    }
+    
+    writer.write((SUBFRAME_FIXED | fixed.order) << 1, 8);
+    for (let i = 0; i < fixed.order; i++) {
+        writer.writeSigned(block[i], BITS_PER_SAMPLE);
+    }
+    writeResidual(writer, fixed.residual, fixed.partitions, fixed.partitionOrder);
+}
+
+// Picks the predictor order with the smallest residual, then the Rice
+// partitioning that codes it in the fewest bits
+function bestFixedPrediction(block) {
+    if (block.length <= MAX_FIXED_ORDER) {
+        return null;
+    }
+    
+    let best = null;
+    for (let order = 0; order <= MAX_FIXED_ORDER; order++) {
+        const residual = fixedResidual(block, order);
+        let magnitude = 0;
+        for (const value of residual) {
+            magnitude += Math.abs(value);
+        }
+        
+        if (!best || magnitude < best.magnitude) {
+            best = { order, residual, magnitude };
+        }
+    }
+    
+    const coding = bestRicePartitioning(best.residual, block.length, best.order);
+    return { ...best, ...coding, bits: coding.bits + best.order * BITS_PER_SAMPLE };
+}
+
+function fixedResidual(block, order) {
+    const residual = new Int32Array(block.length - order);
+    
+    for (let i = order; i < block.length; i++) {
+        let prediction = 0;
+        switch (order) {
+            case 1:
+                prediction = block[i - 1];
+                break;
+            case 2:
+                prediction = 2 * block[i - 1] - block[i - 2];
+                break;
+            case 3:
+                prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3];
+                break;
+            case 4:
+                prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+                break;
+        }
+        residual[i - order] = block[i] - prediction;
+    }
+    
+    return residual;
+}
+
+function bestRicePartitioning(residual, blockSize, order) {
+    const unsigned = residual.map(value => value >= 0 ? value * 2 : -value * 2 - 1);
+    let best = null;
+    
+    for (let partitionOrder = 0; partitionOrder <= MAX_PARTITION_ORDER; partitionOrder++) {
+        const partitionSize = blockSize >> partitionOrder;
+        if (blockSize % (1 << partitionOrder) !== 0 || partitionSize <= order) {
+            break;
+        }
+        
+        // Coding method, partition order, then a parameter per partition
+        let bits = 2 + 4;
+        const partitions = [];
+        let start = 0;
+        
+        for (let p = 0; p < 1 << partitionOrder; p++) {
+            const end = start + (p === 0 ? partitionSize - order : partitionSize);
+            const { parameter, bits: partitionBits } = bestRiceParameter(unsigned, start, end);
+            partitions.push({ start, end, parameter });
+            bits += 4 + partitionBits;
+            start = end;
+        }
+        
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, partitions, bits };
+        }
+    }
+    
+    return best;
+}
+
+function bestRiceParameter(unsigned, start, end) {
+    const count = end - start;
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += unsigned[i];
+    }
+    
+    const estimate = count > 0 && sum > count ? Math.min(MAX_RICE_PARAMETER, Math.floor(Math.log2(sum / count))) : 0;
+    let best = null;
+    
+    for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(MAX_RICE_PARAMETER, estimate + 1); parameter++) {
+        let bits = count * (parameter + 1);
+        for (let i = start; i < end; i++) {
+            bits += unsigned[i] >>> parameter;
+        }
+        
+        if (!best || bits < best.bits) {
+            best = { parameter, bits };
+        }
+    }
+    
+    return best;
+}
+
+function writeResidual(writer, residual, partitions, partitionOrder) {
+    writer.write(0b00, 2);
+    writer.write(partitionOrder, 4);
+    
+    for (const { start, end, parameter } of partitions) {
+        writer.write(parameter, 4);
+        
+        for (let i = start; i < end; i++) {
+            const value = residual[i];
+            const unsigned = value >= 0 ? value * 2 : -value * 2 - 1;
+            writer.writeZeros(unsigned >>> parameter);
+            writer.write(1, 1);
+            writer.write(unsigned & ((1 << parameter) - 1), parameter);
+        }
+    }
+}
+
+// UTF-8 style variable-length coding of the frame number
+function encodeFrameNumber(number) {
+    if (number < 0x80) {
+        return Buffer.from([number]);
+    }
+    
+    const bytes = [];
+    let remaining = number;
+    while (remaining >= 1 << (6 - bytes.length) || bytes.length === 0) {
+        bytes.unshift(0x80 | (remaining & 0x3f));
+        remaining = Math.floor(remaining / 64);
+    }
+    
+    const length = bytes.length + 1;
+    const prefix = (0xff << (8 - length)) & 0xff;
+    return Buffer.from([prefix | remaining, ...bytes]);
+}
+
+function createCrcTable(polynomial, width) {
+    const table = new Uint16Array(256);
+    const topBit = 1 << (width - 1);
+    const mask = (1 << width) - 1;
+    
+    for (let byte = 0; byte < 256; byte++) {
+        let value = byte << (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & topBit ? (value << 1) ^ polynomial : value << 1;
+        }
+        table[byte] = value & mask;
+    }
+    
+    return table;
+}
+
+function crc(table, width, bytes) {
+    const mask = (1 << width) - 1;
+    let value = 0;
+    
+    for (const byte of bytes) {
+        value = width === 8
+            ? table[value ^ byte]
+            : ((value << 8) ^ table[(value >> 8) ^ byte]) & mask;
+    }
+    
+    return value;
+}
+
+/**
+ * MSB-first bit writer over a growable byte array.
+ */
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(Math.max(capacity, 64));
+        this.byteLength = 0;
+        this.current = 0;
+        this.bitCount = 0;
+    }
+    
+
+    // Unsigned value of up to 53 bits
+    write(value, count) {
+        while (count > 0) {
+            const take = Math.min(count, 8 - this.bitCount);
+            const shift = count - take;
+            const bits = Math.floor(value / 2 ** shift) % (1 << take);
+            
+            this.current = (this.current << take) | bits;
+            this.bitCount += take;
+            count -= take;
+            
+            if (this.bitCount === 8) {
+                this.pushByte(this.current);
+                this.current = 0;
+                this.bitCount = 0;
+            }
+        }
+    }
+    
+
+    // Two's complement in `count` bits
+    writeSigned(value, count) {
+        this.write(value < 0 ? value + 2 ** count : value, count);
+    }
+    
+
+    writeZeros(count) {
+        while (count > 0) {
+            const take = Math.min(count, 24);
+            this.write(0, take);
+            count -= take;
+        }
+    }
+    
+
+    writeBytes(bytes) {
+        for (const byte of bytes) {
+            this.write(byte, 8);
+        }
+    }
+    
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.write(0, 8 - this.bitCount);
+        }
+    }
+    
+
+    // Whole bytes written since `offset`; only valid on a byte boundary
+    bytesSince(offset) {
+        return this.bytes.subarray(offset, this.byteLength);
+    }
+    
+
+    pushByte(byte) {
+        if (this.byteLength === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.byteLength++] = byte;
+    }
+    
+
+    toBuffer() {
+        return Buffer.from(this.bytes.buffer, this.bytes.byteOffset, this.byteLength);
+    }
+}
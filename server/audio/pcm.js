@@ -0,0 +1,109 @@
+export const OUTPUT_SAMPLE_RATE = 16000;
+
+/**
+ * Extracts the PCM payload from a RIFF/WAVE buffer. Only 16-bit PCM is
+ * supported; multi-channel audio is downmixed to mono.
+ */
+export function parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+    
+    let offset = 12;
+    let format = null;
+    
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        let chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+        
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: buffer.readUInt16LE(chunkStart),
+                channels: buffer.readUInt16LE(chunkStart + 2),
+                sampleRate: buffer.readUInt32LE(chunkStart + 4),
+                bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+                throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit)`);
+            }
+            
+            // Streaming encoders write 0 or 0xFFFFFFFF when the length is unknown
+            if (chunkSize === 0 || chunkStart + chunkSize > buffer.length) {
+                chunkSize = buffer.length - chunkStart;
+            }
+            
+            let data = buffer.subarray(chunkStart, chunkStart + chunkSize - (chunkSize % 2));
+            if (format.channels > 1) {
+                data = downmixToMono(data, format.channels);
+            }
+            
+            return { sampleRate: format.sampleRate, data };
+        }
+        
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+    
+    throw new Error('WAV file has no data chunk');
+}
+
+export function isWav(buffer) {
+    return buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF';
+}
+
+function downmixToMono(data, channels) {
+    const frames = Math.floor(data.length / (2 * channels));
+    const mono = Buffer.alloc(frames * 2);
+    
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            sum += data.readInt16LE((i * channels + c) * 2);
+        }
+        mono.writeInt16LE(Math.round(sum / channels), i * 2);
+    }
+    
+    return mono;
+}
+
+/**
+ * Linear-interpolation resampler for mono 16-bit little-endian PCM.
+ */
+export function resamplePcm16(data, fromRate, toRate = OUTPUT_SAMPLE_RATE) {
+    if (fromRate === toRate) {
+        return data;
+    }
+    
+    const inputSamples = Math.floor(data.length / 2);
+    const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+    const output = Buffer.alloc(outputSamples * 2);
+    const ratio = fromRate / toRate;
+    
+    for (let i = 0; i < outputSamples; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const a = data.readInt16LE(index * 2);
+        const b = index + 1 < inputSamples ? data.readInt16LE((index + 1) * 2) : a;
+        output.writeInt16LE(Math.round(a + (b - a) * fraction), i * 2);
+    }
+    
+    return output;
+}
+
+/**
+ * Normalizes provider output (raw PCM at `sampleRate`, or a WAV file) to
+ * 16 kHz mono LINEAR16 without a header.
+ */
+export function toOutputPcm(audio, sampleRate) {
+    if (isWav(audio)) {
+        const wav = parseWav(audio);
+        return resamplePcm16(wav.data, wav.sampleRate);
+    }
+    
+    return resamplePcm16(audio.subarray(0, audio.length - (audio.length % 2)), sampleRate);
+}
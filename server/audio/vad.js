@@ -0,0 +1,167 @@
+import { OUTPUT_SAMPLE_RATE } from './pcm.js';
+
+const FRAME_MS = 20;
+const FFT_SIZE = 512;
+const SPEECH_BAND_HZ = [100, 4000];
+
+// Voiced speech concentrates its energy in harmonics; fans, hiss and
+// clicks have a nearly flat spectrum (white noise measures about 0.56)
+const MAX_SPEECH_FLATNESS = 0.4;
+
+// Loud background noise raises the bar above `thresholdDb`, up to a point
+const NOISE_MARGIN_DB = 10;
+const MAX_NOISE_THRESHOLD_DB = -30;
+
+const TWIDDLES = createTwiddles(FFT_SIZE);
+
+/**
+ * Energy/spectral voice activity detection over mono LINEAR16. A 20 ms frame
+ * counts as speech when it is louder than `thresholdDb` and the clip's own
+ * noise floor plus a margin, and its spectrum in the speech band is not flat.
+ *
+ * Returns { speech, start, end, speechMs }: byte offsets of the first and
+ * last speech frames, widened by `paddingMs` so word onsets and trailing
+ * consonants survive. `speech` is false when less than `minSpeechMs` of
+ * speech was found.
+ */
+export function detectSpeech(pcm, { thresholdDb = -45, minSpeechMs = 150, paddingMs = 250, sampleRate = OUTPUT_SAMPLE_RATE } = {}) {
+    const frameBytes = Math.round(sampleRate * FRAME_MS / 1000) * 2;
+    const frameCount = Math.floor(pcm.length / frameBytes);
+    
+    const analyzer = createFrameAnalyzer(frameBytes / 2, sampleRate);
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+        frames.push(analyzer(pcm.subarray(i * frameBytes, (i + 1) * frameBytes)));
+    }
+    
+    const threshold = Math.max(thresholdDb, Math.min(noiseFloorDb(frames) + NOISE_MARGIN_DB, MAX_NOISE_THRESHOLD_DB));
+    
+    let first = -1;
+    let last = -1;
+    let speechFrames = 0;
+    
+    frames.forEach((frame, index) => {
+        if (frame.energyDb > threshold && frame.flatness < MAX_SPEECH_FLATNESS) {
+            if (first === -1) {
+                first = index;
+            }
+            last = index;
+            speechFrames++;
+        }
+    });
+    
+    const speechMs = speechFrames * FRAME_MS;
+    if (speechMs < minSpeechMs) {
+        return { speech: false, start: 0, end: 0, speechMs };
+    }
+    
+    const paddingFrames = Math.ceil(paddingMs / FRAME_MS);
+    const endFrame = last + 1 + paddingFrames;
+    
+    return {
+        speech: true,
+        start: Math.max(0, first - paddingFrames) * frameBytes,
+        end: endFrame >= frameCount ? pcm.length : endFrame * frameBytes,
+        speechMs
+    };
+}
+
+// 10th percentile of frame energies: the quiet stretches between words
+function noiseFloorDb(frames) {
+    if (frames.length === 0) {
+        return -Infinity;
+    }
+    
+    const energies = frames.map(frame => frame.energyDb).sort((a, b) => a - b);
+    return energies[Math.floor(energies.length * 0.1)];
+}
+
+function createFrameAnalyzer(frameSamples, sampleRate) {
+    const window = new Float64Array(frameSamples);
+    for (let i = 0; i < frameSamples; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSamples - 1));
+    }
+    
+    const firstBin = Math.max(1, Math.round(SPEECH_BAND_HZ[0] * FFT_SIZE / sampleRate));
+    const lastBin = Math.min(FFT_SIZE / 2, Math.round(SPEECH_BAND_HZ[1] * FFT_SIZE / sampleRate));
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    
+    return (frame) => {
+        re.fill(0);
+        im.fill(0);
+        
+        let sumSquares = 0;
+        for (let i = 0; i < frameSamples; i++) {
+            const sample = frame.readInt16LE(i * 2) / 32768;
+            sumSquares += sample * sample;
+            re[i] = sample * window[i];
+        }
+        
+        fft(re, im);
+        
+        // Spectral flatness: geometric over arithmetic mean of the power spectrum
+        let logSum = 0;
+        let sum = 0;
+        for (let bin = firstBin; bin <= lastBin; bin++) {
+            const power = re[bin] * re[bin] + im[bin] * im[bin] + 1e-12;
+            logSum += Math.log(power);
+            sum += power;
+        }
+        const bins = lastBin - firstBin + 1;
+        
+        return {
+            energyDb: 10 * Math.log10(sumSquares / frameSamples + 1e-12),
+            flatness: Math.exp(logSum / bins) / (sum / bins)
+        };
+    };
+}
+
+function createTwiddles(size) {
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let k = 0; k < size / 2; k++) {
+        cos[k] = Math.cos(-2 * Math.PI * k / size);
+        sin[k] = Math.sin(-2 * Math.PI * k / size);
+    }
+    return { cos, sin };
+}
+
+// In-place iterative radix-2 FFT of length FFT_SIZE
+function fft(re, im) {
+    const n = re.length;
+    
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size / 2;
+        const stride = n / size;
+        
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = TWIDDLES.cos[k * stride];
+                const wi = TWIDDLES.sin[k * stride];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
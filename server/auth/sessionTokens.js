@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+
+export class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Short-lived session tokens: base64url(JSON claims) + "." + HMAC-SHA256
+ * signature. Claims carry the session ID, the origin the token was issued to
+ * and its expiry, so the proxy stays stateless.
+ */
+class SessionTokens {
+    constructor({ secret, ttlSeconds = 600 }) {
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+        this.ephemeralSecret = !secret;
+        this.ttlSeconds = ttlSeconds;
+    }
+    
+
+    issue({ origin = null } = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        const claims = {
+            sid: crypto.randomUUID(),
+            origin,
+            iat: now,
+            exp: now + this.ttlSeconds
+        };
+        
+        const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+        
+        return {
+            token: `${payload}.${this.sign(payload)}`,
+            sessionId: claims.sid,
+            expiresAt: claims.exp * 1000
+        };
+    }
+    
+
+    verify(token, { origin = null } = {}) {
+        if (typeof token !== 'string' || !token.includes('.')) {
+            throw new AuthError('Missing session token');
+        }
+        
+        const [payload, signature] = token.split('.');
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature || '');
+        
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new AuthError('Invalid session token');
+        }
+        
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new AuthError('Invalid session token');
+        }
+        
+        if (!claims.exp || claims.exp * 1000 < Date.now()) {
+            throw new AuthError('Session token expired');
+        }
+        
+        // A token is only valid from the page origin it was issued to
+        if (claims.origin && origin && claims.origin !== origin) {
+            throw new AuthError('Session token was issued to a different origin');
+        }
+        
+        return claims;
+    }
+    
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+}
+
+export default SessionTokens;
@@ -0,0 +1,11 @@
+// Correlation IDs come from the client; keep them short and log-safe
+export function correlationId(value) {
+    return typeof value === 'string' && /^[\w-]{1,64}$/.test(value) ? value : undefined;
+}
+
+// Without authentication there is no token session ID, so the one the
+// page sends in `start` is used for correlation only
+export function withClientSession(log, client, message) {
+    const sessionId = correlationId(message.sessionId);
+    return !client.sessionId && sessionId ? log.child({ sessionId }) : log;
+}
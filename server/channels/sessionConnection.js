@@ -0,0 +1,137 @@
+import ChannelTransport from './transport.js';
+import { negotiateProtocol, SESSION_MESSAGE_VERSION } from '../protocol.js';
+import { correlationId, withClientSession } from './correlation.js';
+import { validateClientMessage } from '../../js/protocol/messages.js';
+
+/**
+ * One long-lived client socket carrying both the STT and TTS channels
+ * (`?service=session`). The page connects once per session instead of once
+ * per turn; turns are told apart by `turnId`.
+ *
+ *   { v: 1, channel: 'session', type: 'start', protocol, audioFrames, sessionId }
+ *   { v: 1, channel: 'session', type: 'ready', protocol, audioFrames, channels }
+ *   { v: 1, channel: 'stt' | 'tts', type, turnId, ... }   see STTChannel/TTSChannel
+ *
+ * Client binary frames are STT audio; server binary frames are TTS audio.
+ */
+class SessionConnection {
+    constructor({ ws, client, log, config, createChannel, recording = null }) {
+        this.ws = ws;
+        this.client = client;
+        this.config = config;
+        this.recording = recording;
+        this.connectionLog = log;
+        this.log = log;
+        
+        this.transports = {
+            session: new ChannelTransport(ws, { channel: 'session', version: SESSION_MESSAGE_VERSION }),
+            stt: new ChannelTransport(ws, { channel: 'stt', version: SESSION_MESSAGE_VERSION }),
+            tts: new ChannelTransport(ws, { channel: 'tts', version: SESSION_MESSAGE_VERSION })
+        };
+        this.channels = {
+            stt: createChannel('stt', this.transports.stt, client, log, recording),
+            tts: createChannel('tts', this.transports.tts, client, log, recording)
+        };
+        
+        ws.on('message', (data, isBinary) => this.handleFrame(data, isBinary));
+        ws.on('close', () => this.close());
+    }
+    
+
+    handleFrame(data, isBinary) {
+        if (isBinary) {
+            this.channels.stt.handleAudio(Buffer.from(data));
+            return;
+        }
+        
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            this.sendError('BAD_MESSAGE', 'Messages must be JSON');
+            return;
+        }
+        
+        if (message.v !== SESSION_MESSAGE_VERSION) {
+            this.sendError('UNSUPPORTED_VERSION', `Unsupported message version ${message.v}; this proxy speaks v${SESSION_MESSAGE_VERSION}`);
+            return;
+        }
+        
+        const transport = this.transports[message.channel];
+        if (!transport) {
+            this.sendError('BAD_MESSAGE', `Unknown channel "${message.channel}"`);
+            return;
+        }
+        
+        const problem = validateClientMessage(message.channel, message);
+        if (problem) {
+            this.log.warn('Message rejected', { channel: message.channel, reason: problem });
+            transport.sendError('BAD_MESSAGE', problem, { turnId: correlationId(message.turnId) });
+            return;
+        }
+        
+        if (message.channel === 'session') {
+            this.handleSessionMessage(message);
+            return;
+        }
+        
+        this.channels[message.channel].handleMessage(message).catch((error) => {
+            this.log.error(`${message.channel.toUpperCase()} message error`, { error });
+        });
+    }
+    
+
+    handleSessionMessage(message) {
+        switch (message.type) {
+            case 'start':
+                const protocol = negotiateProtocol(message);
+                for (const transport of Object.values(this.transports)) {
+                    transport.protocol = protocol;
+                }
+                
+                this.log = withClientSession(this.connectionLog, this.client, message);
+                this.recording?.useClientSession(correlationId(message.sessionId));
+                for (const channel of Object.values(this.channels)) {
+                    channel.useLog(this.log);
+                }
+                
+                this.transports.session.send({
+                    type: 'ready',
+                    protocol: protocol.version,
+                    audioFrames: protocol.audioFrames,
+                    channels: {
+                        stt: {
+                            provider: this.channels.stt.provider.name,
+                            partials: this.config.stt.partials.enabled,
+                            degraded: this.channels.stt.provider.degraded
+                        },
+                        tts: {
+                            provider: this.channels.tts.provider.name,
+                            degraded: this.channels.tts.provider.degraded
+                        }
+                    }
+                });
+                break;
+        }
+    }
+    
+
+    sendError(code, message) {
+        this.log.warn('Session message rejected', { code, reason: message });
+        this.transports.session.sendError(code, message);
+    }
+    
+
+    isBusy() {
+        return Object.values(this.channels).some(channel => channel.isBusy());
+    }
+    
+
+    close() {
+        for (const channel of Object.values(this.channels)) {
+            channel.close();
+        }
+    }
+}
+
+export default SessionConnection;
@@ -0,0 +1,427 @@
+import PartialTranscriber from '../stt/partialTranscriber.js';
+import { detectSpeech } from '../audio/vad.js';
+import { limitErrorMessage } from '../limits/usageLimiter.js';
+import { classifyUpstreamError, upstreamErrorMessage } from '../upstreamError.js';
+import { allowedModels, parseTranscriptionOptions } from '../stt/transcriptionOptions.js';
+import { correlationId } from './correlation.js';
+
+/**
+ * Speech-to-text for one client: buffers the utterance, streams partial
+ * hypotheses and returns the final transcript. Transport-agnostic, so it
+ * serves both the legacy `?service=stt` socket and the session socket.
+ *
+ *   client: start { partials?, language?, model?, prompt?, vocabulary?, turnId? }
+ *           | audio { audio } | transcribe { language?, model?, prompt?, vocabulary? }
+ *           | cancel { turnId? }
+ *           (+ binary frames of 16 kHz LINEAR16 with protocol 2)
+ *   proxy:  ready | partial { text, stable, unstable }
+ *           | transcript { text, noSpeech?, segments?, words? }
+ *           | cutoff { limit, maxMs } | cancelled { turnId }
+ *           | degraded { degraded, provider, reason }
+ *           | error { code, message, retryable }
+ *
+ * Utterances are capped by LIMIT_MAX_UTTERANCE_SECONDS/BYTES (`cutoff` tells
+ * the page to stop streaming) and trimmed to their speech before upload;
+ * one without speech is answered with an empty transcript and never reaches
+ * the provider. With a `recording`, every finished turn is saved for replay.
+ *
+ * Recognition settings given on `start` apply to the turn's partials and
+ * transcript; `transcribe` may override them for the transcript. `model`
+ * must be the provider's default or on the STT_MODELS allowlist. A refused
+ * `start` refuses the whole turn: its audio is dropped and `transcribe` is
+ * refused too, until the next valid `start`.
+ *
+ * Message fields are defined in js/protocol/messages.js.
+ */
+class STTChannel {
+    constructor({ transport, client, log, provider, config, usageLimiter, metrics, recording = null }) {
+        this.transport = transport;
+        this.client = client;
+        this.provider = provider;
+        this.config = config;
+        this.usageLimiter = usageLimiter;
+        this.metrics = metrics;
+        this.recording = recording;
+        
+        this.audioBuffer = [];
+        this.bufferedBytes = 0;
+        this.limitNotified = false;
+        this.cutOffNotified = false;
+        this.turnRefused = false;
+        this.isTranscribing = false;
+        this.transcription = null;
+        this.partials = null;
+        this.turnId = undefined;
+        this.options = null;
+        
+        this.onDegraded = ({ degraded, provider: servedBy, reason }) => {
+            this.transport.send({ type: 'degraded', degraded, provider: servedBy, reason });
+        };
+        provider.on('degraded', this.onDegraded);
+        
+        this.useLog(log);
+        this.log.info('STT service connected', { provider: provider.name });
+    }
+    
+
+    useLog(log) {
+        this.log = log;
+        this.turnLog = this.turnId ? log.child({ turnId: this.turnId }) : log;
+        
+        if (this.partials) {
+            this.partials.log = this.turnLog;
+        }
+    }
+    
+
+    // The page starts a turn on wake word and tags its messages with it
+    setTurn(turnId) {
+        this.turnId = correlationId(turnId);
+        this.useLog(this.log);
+    }
+    
+
+    async handleMessage(message) {
+        // A cancel may name an older turn; it must not switch to it
+        if (message.turnId !== undefined && message.type !== 'cancel') {
+            this.setTurn(message.turnId);
+        }
+        
+        switch (message.type) {
+            case 'start':
+                this.start(message);
+                break;
+                
+            case 'audio':
+                this.handleAudio(Buffer.from(message.audio, 'base64'));
+                break;
+                
+            case 'transcribe':
+                await this.transcribe(message);
+                break;
+                
+            case 'cancel':
+                this.cancel(correlationId(message.turnId));
+                break;
+        }
+    }
+    
+
+    start(message) {
+        if (this.partials) {
+            this.partials.reset();
+            this.partials = null;
+        }
+        
+        // A session socket reuses the channel across turns: nothing of the
+        // previous one carries over, even into a turn that is refused
+        this.audioBuffer = [];
+        this.bufferedBytes = 0;
+        this.limitNotified = false;
+        this.cutOffNotified = false;
+        this.options = null;
+        
+        const parsed = this.parseOptions(message);
+        this.turnRefused = !parsed.ok;
+        if (!parsed.ok) {
+            return;
+        }
+        this.options = parsed.options;
+        
+        this.partials = this.config.stt.partials.enabled && message.partials !== false
+            ? new PartialTranscriber({
+                provider: this.provider,
+                getAudio: () => this.trimToSpeech(Buffer.concat(this.audioBuffer)) || Buffer.alloc(0),
+                onPartial: (partial) => {
+                    this.transport.send({ type: 'partial', turnId: this.turnId, ...partial });
+                },
+                allowUpload: audio => this.allowPartialUpload(audio),
+                intervalMs: this.config.stt.partials.intervalMs,
+                minAudioBytes: this.config.stt.partials.minAudioMs * 32,
+                options: this.options,
+                log: this.turnLog
+            })
+            : null;
+        
+        this.transport.send({
+            type: 'ready',
+            message: `${this.provider.name} STT ready`,
+            protocol: this.transport.protocol.version,
+            audioFrames: this.transport.protocol.audioFrames,
+            partials: this.partials !== null,
+            degraded: this.provider.degraded,
+            turnId: this.turnId
+        });
+    }
+    
+
+    handleAudio(audioData) {
+        // The page was told with BAD_OPTIONS when the turn was refused
+        if (this.turnRefused) {
+            return;
+        }
+        
+        // LINEAR16: two bytes per sample
+        if (audioData.length % 2 !== 0) {
+            this.turnLog.warn('Audio frame rejected', { bytes: audioData.length });
+            this.transport.sendError('BAD_AUDIO', 'Audio must be 16-bit PCM (even byte length)', { turnId: this.turnId });
+            return;
+        }
+        
+        const room = this.maxUtterance().bytes - this.bufferedBytes;
+        if (room <= 0) {
+            this.cutOff();
+            return;
+        }
+        
+        const cutOff = audioData.length > room;
+        if (cutOff) {
+            audioData = audioData.subarray(0, room);
+        }
+        
+        const usage = this.usageLimiter.consume(this.client, 'audioSeconds', audioData.length / 32000);
+        if (!usage.ok) {
+            this.notifyLimit(usage);
+            return;
+        }
+        
+        this.audioBuffer.push(audioData);
+        this.bufferedBytes += audioData.length;
+        this.metrics.audioReceivedBytes.inc({}, audioData.length);
+        
+        if (this.partials) {
+            this.partials.start();
+        }
+        
+        if (cutOff) {
+            this.cutOff();
+        }
+    }
+    
+
+    // The tighter of the duration and size caps, in bytes of 16 kHz LINEAR16
+    maxUtterance() {
+        const { maxUtteranceBytes, maxUtteranceSeconds } = this.config.limits;
+        const durationBytes = Math.floor(maxUtteranceSeconds * 16000) * 2;
+        
+        return durationBytes <= maxUtteranceBytes
+            ? { bytes: durationBytes, limit: 'utteranceSeconds' }
+            : { bytes: maxUtteranceBytes, limit: 'utteranceBytes' };
+    }
+    
+
+    // Once per utterance: the rest of it is dropped, and the page should stop
+    // streaming and ask for the transcript of what was kept
+    cutOff() {
+        if (this.cutOffNotified) {
+            return;
+        }
+        
+        this.cutOffNotified = true;
+        const { bytes, limit } = this.maxUtterance();
+        this.turnLog.warn('Utterance cut off', { limit, bytes });
+        this.metrics.limitRejections.inc({ limit, scope: 'utterance' });
+        this.transport.send({ type: 'cutoff', limit, maxMs: Math.floor(bytes / 32), turnId: this.turnId });
+    }
+    
+
+    // The utterance without leading and trailing silence; null when the
+    // voice activity detector finds no speech in it
+    trimToSpeech(audio) {
+        if (!this.config.stt.vad.enabled) {
+            return audio;
+        }
+        
+        const vad = detectSpeech(audio, this.config.stt.vad);
+        return vad.speech ? audio.subarray(vad.start, vad.end) : null;
+    }
+    
+
+    // Refuses the message with BAD_OPTIONS when its recognition settings
+    // are not allowed
+    parseOptions(message) {
+        const parsed = parseTranscriptionOptions(message, {
+            models: allowedModels(this.provider.model, this.config.stt.models)
+        });
+        
+        if (!parsed.ok) {
+            this.turnLog.warn('Transcription options refused', { reason: parsed.message });
+            this.transport.sendError('BAD_OPTIONS', parsed.message, { turnId: this.turnId });
+        }
+        return parsed;
+    }
+    
+
+    // Once per utterance, however many frames arrive over the limit
+    notifyLimit(rejection) {
+        if (this.limitNotified) {
+            return;
+        }
+        
+        this.limitNotified = true;
+        this.turnLog.warn('Audio refused', { ip: this.client.ip, reason: rejection.message });
+        this.metrics.limitRejections.inc({ limit: rejection.limit, scope: rejection.scope });
+        this.transport.send({ ...limitErrorMessage(rejection), turnId: this.turnId });
+    }
+    
+
+    // Every partial re-uploads the whole utterance so far; past the budget
+    // the turn goes on without partials rather than being refused
+    allowPartialUpload(audio) {
+        const usage = this.usageLimiter.consume(this.client, 'partialAudioSeconds', audio.length / 32000);
+        if (!usage.ok) {
+            this.turnLog.info('Partial transcripts paused', { ip: this.client.ip, reason: usage.message });
+            this.metrics.limitRejections.inc({ limit: usage.limit, scope: usage.scope });
+        }
+        return usage.ok;
+    }
+    
+
+    async transcribe(message = {}) {
+        if (this.isTranscribing) {
+            return;
+        }
+        
+        if (this.turnRefused) {
+            this.transport.sendError('BAD_OPTIONS', 'This turn was refused; send a new start', { turnId: this.turnId });
+            return;
+        }
+        
+        if (this.audioBuffer.length === 0) {
+            this.transport.sendError('BAD_AUDIO', 'No audio received for this turn', { turnId: this.turnId });
+            return;
+        }
+        
+        const parsed = this.parseOptions(message);
+        if (!parsed.ok) {
+            return;
+        }
+        const options = parsed.options ? { ...this.options, ...parsed.options } : this.options;
+        
+        if (this.partials) {
+            this.partials.reset();
+        }
+        
+        const startTime = Date.now();
+        const requestLog = this.turnLog;
+        const turnId = this.turnId;
+        const utterance = Buffer.concat(this.audioBuffer);
+        const cutOff = this.cutOffNotified;
+        this.audioBuffer = [];
+        this.bufferedBytes = 0;
+        this.limitNotified = false;
+        this.cutOffNotified = false;
+        
+        const audioBlob = this.trimToSpeech(utterance);
+        const timings = { vadMs: Date.now() - startTime };
+        const record = fields => this.record(turnId, utterance, { cutOff, ...(options && { options }), timings, ...fields });
+        
+        if (!audioBlob) {
+            requestLog.info('No speech detected', { audioBytes: utterance.length });
+            this.metrics.sttNoSpeech.inc();
+            this.transport.send({ type: 'transcript', text: '', noSpeech: true, turnId });
+            record({ transcript: '', noSpeech: true });
+            return;
+        }
+        this.metrics.sttTrimmedBytes.inc({}, utterance.length - audioBlob.length);
+        
+        this.isTranscribing = true;
+        const controller = new AbortController();
+        this.transcription = { turnId, controller };
+        
+        try {
+            const { text: transcript, segments, words } = await this.provider.transcribe(audioBlob, { ...options, signal: controller.signal });
+            
+            const transcriptionTime = Date.now() - startTime;
+            timings.transcribeMs = transcriptionTime - timings.vadMs;
+            this.metrics.sttLatency.observe({ provider: this.provider.name }, transcriptionTime / 1000);
+            requestLog.info('Transcription completed', {
+                provider: this.provider.name,
+                durationMs: transcriptionTime,
+                audioBytes: audioBlob.length,
+                trimmedBytes: utterance.length - audioBlob.length,
+                chars: transcript.length
+            });
+            requestLog.debug('Transcript', { text: transcript });
+            
+            this.transport.send({ type: 'transcript', text: transcript, ...(segments && { segments, words }), turnId });
+            record({ transcript, ...(segments && { segments }), trimmedBytes: utterance.length - audioBlob.length });
+        } catch (error) {
+            timings.transcribeMs = Date.now() - startTime - timings.vadMs;
+            
+            if (controller.signal.aborted) {
+                requestLog.info('Transcription cancelled', { durationMs: Date.now() - startTime });
+                record({ transcript: null, cancelled: true });
+                return;
+            }
+            
+            requestLog.error('Transcription failed', { provider: this.provider.name, error });
+            this.metrics.upstreamErrors.inc({ service: 'stt', provider: this.provider.name, cause: classifyUpstreamError(error) });
+            
+            const message = upstreamErrorMessage(error, { badRequestCode: 'BAD_AUDIO', turnId });
+            this.transport.send(message);
+            record({ transcript: null, error: { code: message.code, message: message.message } });
+        } finally {
+            this.isTranscribing = false;
+            this.transcription = null;
+        }
+    }
+    
+
+    // The whole utterance as received, so a replay re-runs voice activity
+    // detection too
+    record(turnId, utterance, fields) {
+        if (!this.recording) {
+            return;
+        }
+        
+        this.recording.saveTurn(turnId, 'stt', {
+            provider: this.provider.name,
+            degraded: this.provider.degraded,
+            audio: 'input.wav',
+            audioMs: Math.floor(utterance.length / 32),
+            ...fields
+        }, { 'input.wav': utterance });
+    }
+    
+
+    // Drops the buffered utterance and aborts its transcription. Without a
+    // turn ID whatever is in progress is cancelled.
+    cancel(turnId) {
+        if (turnId === undefined || turnId === this.turnId) {
+            if (this.partials) {
+                this.partials.reset();
+            }
+            this.audioBuffer = [];
+            this.bufferedBytes = 0;
+            this.limitNotified = false;
+            this.cutOffNotified = false;
+        }
+        
+        if (this.transcription && (turnId === undefined || turnId === this.transcription.turnId)) {
+            this.transcription.controller.abort();
+        }
+        
+        this.transport.send({ type: 'cancelled', turnId });
+    }
+    
+
+    // Mid-utterance or waiting on a transcript
+    isBusy() {
+        return this.isTranscribing || this.bufferedBytes > 0;
+    }
+    
+
+    close() {
+        this.provider.off('degraded', this.onDegraded);
+        if (this.partials) {
+            this.partials.stop();
+        }
+        if (this.transcription) {
+            this.transcription.controller.abort();
+        }
+        this.log.info('STT client disconnected');
+    }
+}
+
+export default STTChannel;
@@ -0,0 +1,50 @@
+import { WebSocket } from 'ws';
+import { negotiateProtocol } from '../protocol.js';
+import { errorMessage } from '../../js/protocol/messages.js';
+
+/**
+ * Sends one channel's messages over a client WebSocket. On the legacy
+ * per-service sockets messages go out as they are; on the session socket
+ * they are wrapped in the `{ v, channel }` envelope.
+ */
+class ChannelTransport {
+    constructor(ws, { channel = null, version = null } = {}) {
+        this.ws = ws;
+        this.channel = channel;
+        this.version = version;
+        this.protocol = negotiateProtocol();
+    }
+    
+
+    isOpen() {
+        return this.ws.readyState === WebSocket.OPEN;
+    }
+    
+
+    send(message) {
+        if (!this.isOpen()) {
+            return;
+        }
+        
+        const envelope = this.channel ? { v: this.version, channel: this.channel, ...message } : message;
+        this.ws.send(JSON.stringify(envelope));
+    }
+    
+
+    sendError(code, message, fields = {}) {
+        this.send(errorMessage(code, message, fields));
+    }
+    
+
+    sendAudio(chunk, fields = {}) {
+        if (this.protocol.binaryAudio) {
+            if (this.isOpen()) {
+                this.ws.send(chunk, { binary: true });
+            }
+        } else {
+            this.send({ type: 'audio', data: chunk.toString('base64'), ...fields });
+        }
+    }
+}
+
+export default ChannelTransport;
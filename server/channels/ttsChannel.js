@@ -0,0 +1,220 @@
+import { synthesizePipelined } from '../tts/sentencePipeline.js';
+import { limitErrorMessage } from '../limits/usageLimiter.js';
+import { classifyUpstreamError, upstreamErrorMessage } from '../upstreamError.js';
+import { allowedVoices, parseSpeechOptions } from '../tts/speechOptions.js';
+import { correlationId } from './correlation.js';
+
+/**
+ * Text-to-speech for one client: synthesizes `speak` requests and paces the
+ * 16 kHz LINEAR16 result out in small chunks. Transport-agnostic, like
+ * STTChannel. With a `recording`, the text and audio of every speech are
+ * saved as the answer half of the turn.
+ *
+ * `ssml` is spoken instead of `text` when given; `text` is still what gets
+ * logged and recorded. `voice.name` must be the provider's default voice or
+ * on the TTS_VOICES allowlist.
+ *
+ *   client: start | speak { text, ssml?, voice? { name, speakingRate, pitch }, turnId? }
+ *           | cancel { turnId? }
+ *   proxy:  ready | audio { data } (or binary frames) | done | cancelled { turnId }
+ *           | degraded { degraded, provider, reason }
+ *           | error { code, message, retryable }
+ */
+class TTSChannel {
+    constructor({ transport, client, log, provider, config, usageLimiter, metrics, recording = null }) {
+        this.transport = transport;
+        this.client = client;
+        this.provider = provider;
+        this.config = config;
+        this.usageLimiter = usageLimiter;
+        this.metrics = metrics;
+        this.recording = recording;
+        this.log = log;
+        this.speeches = new Set();
+        
+        this.onDegraded = ({ degraded, provider: servedBy, reason }) => {
+            this.transport.send({ type: 'degraded', degraded, provider: servedBy, reason });
+        };
+        provider.on('degraded', this.onDegraded);
+        
+        this.log.info('TTS service connected', { provider: provider.name });
+    }
+    
+
+    useLog(log) {
+        this.log = log;
+    }
+    
+
+    async handleMessage(message) {
+        switch (message.type) {
+            case 'start':
+                this.transport.send({
+                    type: 'ready',
+                    message: `${this.provider.name} TTS ready`,
+                    protocol: this.transport.protocol.version,
+                    audioFrames: this.transport.protocol.audioFrames,
+                    degraded: this.provider.degraded
+                });
+                break;
+                
+            case 'speak':
+                await this.speak(message.text, correlationId(message.turnId), message);
+                break;
+                
+            case 'cancel':
+                this.cancel(correlationId(message.turnId));
+                break;
+        }
+    }
+    
+
+    async speak(text, turnId, options = {}) {
+        const startTime = Date.now();
+        const turnLog = this.log.child({ turnId });
+        turnLog.debug('Speak requested', { text, ssml: options.ssml, voice: options.voice });
+        
+        const { ok, message, ssml, voice } = parseSpeechOptions(options, {
+            voices: allowedVoices(this.provider.voice, this.config.tts.voices)
+        });
+        if (!ok) {
+            turnLog.warn('Speech refused', { reason: message });
+            this.transport.sendError('BAD_OPTIONS', message, { turnId });
+            return;
+        }
+        
+        // Google bills SSML markup as characters too
+        const usage = this.usageLimiter.consume(this.client, 'ttsChars', (ssml ?? text).length);
+        if (!usage.ok) {
+            turnLog.warn('Speech refused', { ip: this.client.ip, reason: usage.message });
+            this.metrics.limitRejections.inc({ limit: usage.limit, scope: usage.scope });
+            this.transport.send({ ...limitErrorMessage(usage), turnId });
+            return;
+        }
+        
+        const speech = { turnId, controller: new AbortController() };
+        const { signal } = speech.controller;
+        this.speeches.add(speech);
+        
+        let firstAudioTime = null;
+        const spoken = [];
+        const record = fields => this.record(turnId, spoken, {
+            text,
+            ...(ssml && { ssml }),
+            ...(voice && { voice }),
+            timings: { firstAudioMs: firstAudioTime, synthesisMs: Date.now() - startTime },
+            ...fields
+        });
+        
+        try {
+            const segmentCount = await synthesizePipelined(this.provider, ssml ?? text, async (audio) => {
+                if (this.recording) {
+                    spoken.push(audio);
+                }
+                if (firstAudioTime === null) {
+                    firstAudioTime = Date.now() - startTime;
+                    this.metrics.ttsFirstAudio.observe({ provider: this.provider.name }, firstAudioTime / 1000);
+                    turnLog.info('First TTS audio sent', { durationMs: firstAudioTime });
+                }
+                await this.streamAudioChunks(audio, turnId, signal);
+            }, {
+                split: this.config.tts.pipeline.enabled,
+                concurrency: this.config.tts.pipeline.concurrency,
+                signal,
+                ssml: ssml !== null,
+                voice
+            });
+            
+            const synthesisTime = Date.now() - startTime;
+            this.metrics.ttsLatency.observe({ provider: this.provider.name }, synthesisTime / 1000);
+            turnLog.info('Synthesis completed', {
+                provider: this.provider.name,
+                durationMs: synthesisTime,
+                chars: text.length,
+                segments: segmentCount
+            });
+            
+            this.transport.send({ type: 'done', turnId });
+            record({ segments: segmentCount });
+        } catch (error) {
+            if (signal.aborted) {
+                turnLog.info('Synthesis cancelled', { durationMs: Date.now() - startTime });
+                record({ cancelled: true });
+                return;
+            }
+            
+            turnLog.error('Synthesis failed', { provider: this.provider.name, error });
+            this.metrics.upstreamErrors.inc({ service: 'tts', provider: this.provider.name, cause: classifyUpstreamError(error) });
+            
+            const message = upstreamErrorMessage(error, { turnId });
+            this.transport.send(message);
+            record({ error: { code: message.code, message: message.message } });
+        } finally {
+            this.speeches.delete(speech);
+        }
+    }
+    
+
+    // The answer the page chose for the turn, with the audio synthesized for it
+    record(turnId, spoken, fields) {
+        if (!this.recording) {
+            return;
+        }
+        
+        const audio = Buffer.concat(spoken);
+        this.recording.saveTurn(turnId, 'tts', {
+            provider: this.provider.name,
+            degraded: this.provider.degraded,
+            audio: 'output.wav',
+            audioMs: Math.floor(audio.length / 32),
+            ...fields
+        }, { 'output.wav': audio });
+    }
+    
+
+    // Stops streaming at once; without a turn ID every speech in progress stops
+    cancel(turnId) {
+        for (const speech of this.speeches) {
+            if (turnId === undefined || speech.turnId === turnId) {
+                speech.controller.abort();
+            }
+        }
+        
+        // Sent after the last chunk of the cancelled speech, so the client
+        // knows every later audio frame belongs to a new turn
+        this.transport.send({ type: 'cancelled', turnId });
+    }
+    
+
+    // Every TTS provider yields 16 kHz LINEAR16; pace it out in small chunks
+    async streamAudioChunks(audioContent, turnId, signal) {
+        const { chunkBytes, chunkIntervalMs } = this.config.tts;
+        
+        for (let i = 0; i < audioContent.length; i += chunkBytes) {
+            signal.throwIfAborted();
+            
+            const chunk = audioContent.subarray(i, i + chunkBytes);
+            this.metrics.audioSentBytes.inc({}, chunk.length);
+            
+            this.transport.sendAudio(chunk, { turnId });
+            
+            await new Promise(resolve => setTimeout(resolve, chunkIntervalMs));
+        }
+    }
+    
+
+    isBusy() {
+        return this.speeches.size > 0;
+    }
+    
+
+    close() {
+        this.provider.off('degraded', this.onDegraded);
+        for (const speech of this.speeches) {
+            speech.controller.abort();
+        }
+        this.log.info('TTS client disconnected');
+    }
+}
+
+export default TTSChannel;
@@ -0,0 +1,379 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Proxy settings, by path in the resolved config object. Each entry names the
+ * environment variable that sets it, its type and its default. Sources are
+ * merged in increasing priority: defaults, config file (JSON or YAML, from
+ * CONFIG_FILE or --config), `.env`, then the real process environment.
+ */
+const SCHEMA = {
+    'server.port': { env: 'PORT', type: 'int', min: 0, max: 65535, default: 8080 },
+    'server.host': { env: 'HOST', type: 'string', default: '0.0.0.0' },
+    'server.publicWsUrl': { env: 'PUBLIC_WS_URL', type: 'url', protocols: ['ws:', 'wss:'] },
+    'server.trustProxy': { env: 'TRUST_PROXY', type: 'boolean', default: false },
+    'server.shutdownTimeoutMs': { env: 'SHUTDOWN_TIMEOUT_MS', type: 'int', min: 0, default: 20000 },
+    'server.shutdownReconnectDelayMs': { env: 'SHUTDOWN_RECONNECT_DELAY_MS', type: 'int', min: 0, default: 1000 },
+    
+    'auth.enabled': { env: 'AUTH_ENABLED', type: 'boolean', default: true },
+    'auth.secret': { env: 'SESSION_SECRET', type: 'string', minLength: 32 },
+    'auth.tokenTtlSeconds': { env: 'SESSION_TOKEN_TTL_SECONDS', type: 'int', min: 30, default: 600 },
+    'cors.allowedOrigins': { env: 'ALLOWED_ORIGINS', type: 'list', separator: ',', default: [] },
+    
+    'limits.enabled': { env: 'LIMITS_ENABLED', type: 'boolean', default: true },
+    'limits.connections.session': { env: 'LIMIT_CONNECTIONS_PER_SESSION', type: 'int', min: 0, default: 4 },
+    'limits.connections.ip': { env: 'LIMIT_CONNECTIONS_PER_IP', type: 'int', min: 0, default: 16 },
+    'limits.audioSecondsPerMinute.session': { env: 'LIMIT_AUDIO_SECONDS_PER_MINUTE_SESSION', type: 'number', min: 0, default: 30 },
+    'limits.audioSecondsPerMinute.ip': { env: 'LIMIT_AUDIO_SECONDS_PER_MINUTE_IP', type: 'number', min: 0, default: 120 },
+    'limits.partialAudioSecondsPerMinute.session': { env: 'LIMIT_PARTIAL_AUDIO_SECONDS_PER_MINUTE_SESSION', type: 'number', min: 0, default: 90 },
+    'limits.partialAudioSecondsPerMinute.ip': { env: 'LIMIT_PARTIAL_AUDIO_SECONDS_PER_MINUTE_IP', type: 'number', min: 0, default: 360 },
+    'limits.ttsCharsPerMinute.session': { env: 'LIMIT_TTS_CHARS_PER_MINUTE_SESSION', type: 'int', min: 0, default: 3000 },
+    'limits.ttsCharsPerMinute.ip': { env: 'LIMIT_TTS_CHARS_PER_MINUTE_IP', type: 'int', min: 0, default: 12000 },
+    'limits.maxUtteranceBytes': { env: 'LIMIT_MAX_UTTERANCE_BYTES', type: 'int', min: 3200, default: 480000 },
+    'limits.maxUtteranceSeconds': { env: 'LIMIT_MAX_UTTERANCE_SECONDS', type: 'number', min: 0.1, default: 15 },
+    
+    'health.checkTimeoutMs': { env: 'READY_CHECK_TIMEOUT_MS', type: 'int', min: 100, default: 3000 },
+    'health.cacheMs': { env: 'READY_CHECK_CACHE_MS', type: 'int', min: 0, default: 10000 },
+    'metrics.enabled': { env: 'METRICS_ENABLED', type: 'boolean', default: true },
+    'metrics.token': { env: 'METRICS_TOKEN', type: 'string', minLength: 16 },
+    
+    'logging.level': { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    'logging.format': { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'text'], default: 'json' },
+    'logging.file': { env: 'LOG_FILE', type: 'path' },
+    
+    'recording.enabled': { env: 'RECORDING_ENABLED', type: 'boolean', default: false },
+    'recording.dir': { env: 'RECORDING_DIR', type: 'path' },
+    
+    'static.enabled': { env: 'STATIC_ENABLED', type: 'boolean', default: true },
+    'static.maxAgeSeconds': { env: 'STATIC_MAX_AGE_SECONDS', type: 'int', min: 0, default: 3600 },
+    
+    'credentials.groqApiKey': { env: 'GROQ_API_KEY', type: 'string' },
+    'credentials.googleCredentialsPath': { env: 'GOOGLE_APPLICATION_CREDENTIALS', type: 'path' },
+    'credentials.picovoiceAccessKey': { env: 'PICOVOICE_ACCESS_KEY', type: 'string', required: true },
+    
+    'stt.provider': { env: 'STT_PROVIDER', type: 'enum', values: ['groq', 'openai', 'mock'], default: 'groq' },
+    'stt.baseUrl': { env: 'STT_BASE_URL', type: 'url', protocols: ['http:', 'https:'] },
+    'stt.apiKey': { env: 'STT_API_KEY', type: 'string' },
+    'stt.model': { env: 'STT_MODEL', type: 'string' },
+    'stt.models': { env: 'STT_MODELS', type: 'list', separator: ',', default: [] },
+    'stt.language': { env: 'STT_LANGUAGE', type: 'string' },
+    'stt.timeoutMs': { env: 'STT_TIMEOUT_MS', type: 'int', min: 100, default: 5000 },
+    'stt.uploadFormat': { env: 'STT_UPLOAD_FORMAT', type: 'enum', values: ['wav', 'flac'] },
+    'stt.responseFormat': { env: 'STT_RESPONSE_FORMAT', type: 'enum', values: ['json', 'verbose_json'] },
+    'stt.mockTranscripts': { env: 'STT_MOCK_TRANSCRIPTS', type: 'list', separator: '|' },
+    'stt.mockDelayMs': { env: 'STT_MOCK_DELAY_MS', type: 'int', min: 0, default: 0 },
+    'stt.partials.enabled': { env: 'STT_PARTIALS', type: 'boolean', default: true },
+    'stt.partials.intervalMs': { env: 'STT_PARTIAL_INTERVAL_MS', type: 'int', min: 100, default: 500 },
+    'stt.partials.minAudioMs': { env: 'STT_PARTIAL_MIN_AUDIO_MS', type: 'int', min: 0, default: 500 },
+    'stt.vad.enabled': { env: 'STT_VAD', type: 'boolean', default: true },
+    'stt.vad.thresholdDb': { env: 'STT_VAD_THRESHOLD_DB', type: 'number', max: 0, default: -45 },
+    'stt.vad.minSpeechMs': { env: 'STT_VAD_MIN_SPEECH_MS', type: 'int', min: 0, default: 150 },
+    'stt.vad.paddingMs': { env: 'STT_VAD_PADDING_MS', type: 'int', min: 0, default: 250 },
+    'stt.fallback.providers': { env: 'STT_FALLBACK_PROVIDERS', type: 'list', separator: ',', values: ['groq', 'openai', 'mock'], default: [] },
+    'stt.fallback.baseUrl': { env: 'STT_FALLBACK_BASE_URL', type: 'url', protocols: ['http:', 'https:'] },
+    'stt.fallback.apiKey': { env: 'STT_FALLBACK_API_KEY', type: 'string' },
+    'stt.fallback.model': { env: 'STT_FALLBACK_MODEL', type: 'string' },
+    'stt.fallback.uploadFormat': { env: 'STT_FALLBACK_UPLOAD_FORMAT', type: 'enum', values: ['wav', 'flac'] },
+    'stt.fallback.responseFormat': { env: 'STT_FALLBACK_RESPONSE_FORMAT', type: 'enum', values: ['json', 'verbose_json'] },
+    
+    'tts.provider': { env: 'TTS_PROVIDER', type: 'enum', values: ['google', 'openai', 'command'], default: 'google' },
+    'tts.voice': { env: 'TTS_VOICE', type: 'string' },
+    'tts.languageCode': { env: 'TTS_LANGUAGE_CODE', type: 'string' },
+    'tts.speakingRate': { env: 'TTS_SPEAKING_RATE', type: 'number', min: 0.25, max: 4 },
+    'tts.pitch': { env: 'TTS_PITCH', type: 'number', min: -20, max: 20 },
+    'tts.voices': { env: 'TTS_VOICES', type: 'list', separator: ',', default: [] },
+    'tts.baseUrl': { env: 'TTS_BASE_URL', type: 'url', protocols: ['http:', 'https:'] },
+    'tts.apiKey': { env: 'TTS_API_KEY', type: 'string' },
+    'tts.model': { env: 'TTS_MODEL', type: 'string' },
+    'tts.sampleRate': { env: 'TTS_SAMPLE_RATE', type: 'int', min: 8000, max: 96000 },
+    'tts.command': { env: 'TTS_COMMAND', type: 'string' },
+    'tts.commandArgs': { env: 'TTS_COMMAND_ARGS', type: 'list', separator: /\s+/ },
+    'tts.timeoutMs': { env: 'TTS_TIMEOUT_MS', type: 'int', min: 100, default: 10000 },
+    'tts.pipeline.enabled': { env: 'TTS_PIPELINE', type: 'boolean', default: true },
+    'tts.pipeline.concurrency': { env: 'TTS_PIPELINE_CONCURRENCY', type: 'int', min: 1, max: 8, default: 2 },
+    'tts.chunkBytes': { env: 'TTS_CHUNK_BYTES', type: 'int', min: 64, default: 800, multipleOf: 2 },
+    'tts.chunkIntervalMs': { env: 'TTS_CHUNK_INTERVAL_MS', type: 'int', min: 0, default: 10 },
+    'tts.cache.enabled': { env: 'TTS_CACHE', type: 'boolean', default: true },
+    'tts.cache.maxEntries': { env: 'TTS_CACHE_MAX_ENTRIES', type: 'int', min: 1, default: 500 },
+    'tts.cache.maxMegabytes': { env: 'TTS_CACHE_MAX_MB', type: 'number', min: 1, default: 64 },
+    'tts.cache.dir': { env: 'TTS_CACHE_DIR', type: 'path' },
+    'tts.cache.maxDiskMegabytes': { env: 'TTS_CACHE_DISK_MAX_MB', type: 'number', min: 1, default: 512 },
+    'tts.cache.prewarm': { env: 'TTS_CACHE_PREWARM', type: 'boolean', default: true },
+    'tts.fallback.providers': { env: 'TTS_FALLBACK_PROVIDERS', type: 'list', separator: ',', values: ['google', 'openai', 'command'], default: [] },
+    'tts.fallback.baseUrl': { env: 'TTS_FALLBACK_BASE_URL', type: 'url', protocols: ['http:', 'https:'] },
+    'tts.fallback.apiKey': { env: 'TTS_FALLBACK_API_KEY', type: 'string' },
+    'tts.fallback.model': { env: 'TTS_FALLBACK_MODEL', type: 'string' },
+    'tts.fallback.voice': { env: 'TTS_FALLBACK_VOICE', type: 'string' },
+    
+    'upstream.retries': { env: 'UPSTREAM_RETRIES', type: 'int', min: 0, max: 5, default: 1 },
+    'upstream.retryBaseDelayMs': { env: 'UPSTREAM_RETRY_BASE_DELAY_MS', type: 'int', min: 0, default: 200 },
+    'upstream.retryMaxDelayMs': { env: 'UPSTREAM_RETRY_MAX_DELAY_MS', type: 'int', min: 0, default: 2000 },
+    'upstream.circuitBreaker.failureThreshold': { env: 'CIRCUIT_BREAKER_THRESHOLD', type: 'int', min: 1, default: 5 },
+    'upstream.circuitBreaker.resetTimeoutMs': { env: 'CIRCUIT_BREAKER_RESET_MS', type: 'int', min: 1000, default: 30000 },
+    
+    'client.silenceDetection.threshold': { env: 'SILENCE_THRESHOLD', type: 'number', min: 0, max: 1 },
+    'client.silenceDetection.durationMs': { env: 'SILENCE_DURATION_MS', type: 'int', min: 0 },
+    'client.silenceDetection.maxSpeechDurationMs': { env: 'MAX_SPEECH_DURATION_MS', type: 'int', min: 0 },
+    'client.transcriptQuality.maxNoSpeechProb': { env: 'TRANSCRIPT_MAX_NO_SPEECH_PROB', type: 'number', min: 0, max: 1 },
+    'client.transcriptQuality.minConfidence': { env: 'TRANSCRIPT_MIN_CONFIDENCE', type: 'number', min: 0, max: 1 },
+    'client.transcriptQuality.lowConfidence': { env: 'TRANSCRIPT_LOW_CONFIDENCE', type: 'number', min: 0, max: 1 },
+    'client.latency.targetMs': { env: 'LATENCY_TARGET_MS', type: 'int', min: 0 },
+    'client.latency.warningMs': { env: 'LATENCY_WARNING_MS', type: 'int', min: 0 },
+    'client.latency.criticalMs': { env: 'LATENCY_CRITICAL_MS', type: 'int', min: 0 },
+    'client.wakeWord.phrase': { env: 'WAKE_WORD_PHRASE', type: 'string' },
+    'client.wakeWord.sensitivity': { env: 'WAKE_WORD_SENSITIVITY', type: 'number', min: 0, max: 1 },
+    'client.wakeWord.cooldownMs': { env: 'WAKE_WORD_COOLDOWN_MS', type: 'int', min: 0 },
+    'client.wakeWord.keywordPath': { env: 'WAKE_WORD_KEYWORD_PATH', type: 'string' },
+    'client.wakeWord.modelPath': { env: 'WAKE_WORD_MODEL_PATH', type: 'string' },
+    'client.websocket.multiplexed': { env: 'SESSION_SOCKET', type: 'boolean' },
+    'client.logging.level': { env: 'CLIENT_LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'] }
+};
+
+// Google is only served over HTTPS; a plain-HTTP endpoint is a local stand-in
+// such as the mock server, which needs no service account
+const withoutGoogleCredentials = url => Boolean(url) && url.startsWith('http:');
+
+// Settings that only become mandatory once a particular provider is chosen
+const PROVIDER_REQUIREMENTS = [
+    { setting: 'stt.provider', when: c => c.stt.provider === 'groq', check: c => c.stt.apiKey || c.credentials.groqApiKey, message: 'GROQ_API_KEY (or STT_API_KEY) is required when STT_PROVIDER=groq' },
+    { setting: 'stt.provider', when: c => c.stt.provider === 'openai', check: c => c.stt.baseUrl, message: 'STT_BASE_URL is required when STT_PROVIDER=openai' },
+    { setting: 'tts.provider', when: c => c.tts.provider === 'google', check: c => c.credentials.googleCredentialsPath || withoutGoogleCredentials(c.tts.baseUrl), message: 'GOOGLE_APPLICATION_CREDENTIALS is required when TTS_PROVIDER=google' },
+    { setting: 'tts.provider', when: c => c.tts.provider === 'google', check: c => !c.credentials.googleCredentialsPath || withoutGoogleCredentials(c.tts.baseUrl) || fs.existsSync(c.credentials.googleCredentialsPath), message: c => `GOOGLE_APPLICATION_CREDENTIALS file not found: ${c.credentials.googleCredentialsPath}` },
+    { setting: 'tts.provider', when: c => c.tts.provider === 'openai', check: c => c.tts.baseUrl, message: 'TTS_BASE_URL is required when TTS_PROVIDER=openai' },
+    { setting: 'tts.provider', when: c => c.tts.provider === 'command', check: c => c.tts.command, message: 'TTS_COMMAND is required when TTS_PROVIDER=command' },
+    { setting: 'stt.fallback.providers', when: c => c.stt.fallback.providers.includes('groq'), check: c => c.stt.fallback.apiKey || c.credentials.groqApiKey, message: 'GROQ_API_KEY (or STT_FALLBACK_API_KEY) is required when STT_FALLBACK_PROVIDERS includes groq' },
+    { setting: 'stt.fallback.providers', when: c => c.stt.fallback.providers.includes('openai'), check: c => c.stt.fallback.baseUrl, message: 'STT_FALLBACK_BASE_URL is required when STT_FALLBACK_PROVIDERS includes openai' },
+    { setting: 'tts.fallback.providers', when: c => c.tts.fallback.providers.includes('google'), check: c => c.credentials.googleCredentialsPath || withoutGoogleCredentials(c.tts.fallback.baseUrl), message: 'GOOGLE_APPLICATION_CREDENTIALS is required when TTS_FALLBACK_PROVIDERS includes google' },
+    { setting: 'tts.fallback.providers', when: c => c.tts.fallback.providers.includes('openai'), check: c => c.tts.fallback.baseUrl, message: 'TTS_FALLBACK_BASE_URL is required when TTS_FALLBACK_PROVIDERS includes openai' },
+    { setting: 'tts.fallback.providers', when: c => c.tts.fallback.providers.includes('command'), check: c => c.tts.command, message: 'TTS_COMMAND is required when TTS_FALLBACK_PROVIDERS includes command' }
+];
+
+export class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+export function parseEnvFile(content) {
+    const values = {};
+    
+    for (const line of content.split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z0-9_]+)\s*=(.*)$/);
+        if (!match) {
+            continue;
+        }
+        
+        let value = match[2].trim();
+        if (/^(["']).*\1$/.test(value)) {
+            value = value.slice(1, -1);
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        values[match[1]] = value;
+    }
+    
+    return values;
+}
+
+function readConfigFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    
+    if (parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+        throw new Error('top level must be an object');
+    }
+    
+    return parsed || {};
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    let target = object;
+    
+    for (const key of keys) {
+        target[key] = target[key] || {};
+        target = target[key];
+    }
+    
+    target[last] = value;
+}
+
+function coerce(spec, raw, rootDir) {
+    switch (spec.type) {
+        case 'string': {
+            const value = String(raw);
+            if (spec.minLength && value.length < spec.minLength) {
+                throw new Error(`must be at least ${spec.minLength} characters`);
+            }
+            return value;
+        }
+        
+        case 'path':
+            return path.resolve(rootDir, String(raw));
+        
+        case 'int':
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            
+            if (String(raw).trim() === '' || !Number.isFinite(value)) {
+                throw new Error(`expected a number, got "${raw}"`);
+            }
+            if (spec.type === 'int' && !Number.isInteger(value)) {
+                throw new Error(`expected an integer, got "${raw}"`);
+            }
+            if (spec.min !== undefined && value < spec.min) {
+                throw new Error(`must be >= ${spec.min}, got ${value}`);
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                throw new Error(`must be <= ${spec.max}, got ${value}`);
+            }
+            if (spec.multipleOf && value % spec.multipleOf !== 0) {
+                throw new Error(`must be a multiple of ${spec.multipleOf}, got ${value}`);
+            }
+            return value;
+        }
+        
+        case 'boolean': {
+            if (typeof raw === 'boolean') {
+                return raw;
+            }
+            
+            const value = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(value)) {
+                return true;
+            }
+            if (['false', '0', 'no', 'off'].includes(value)) {
+                return false;
+            }
+            throw new Error(`expected true/false, got "${raw}"`);
+        }
+        
+        case 'enum': {
+            const value = String(raw).trim().toLowerCase();
+            if (!spec.values.includes(value)) {
+                throw new Error(`expected one of ${spec.values.join(', ')}, got "${raw}"`);
+            }
+            return value;
+        }
+        
+        case 'list': {
+            const items = (Array.isArray(raw) ? raw.map(String) : String(raw).split(spec.separator))
+                .map(item => item.trim())
+                .filter(Boolean);
+            
+            if (spec.values) {
+                const unknown = items.find(item => !spec.values.includes(item.toLowerCase()));
+                if (unknown !== undefined) {
+                    throw new Error(`expected items from ${spec.values.join(', ')}, got "${unknown}"`);
+                }
+                return items.map(item => item.toLowerCase());
+            }
+            return items;
+        }
+        
+        case 'url': {
+            let url;
+            try {
+                url = new URL(String(raw));
+            } catch (error) {
+                throw new Error(`expected a URL, got "${raw}"`);
+            }
+            if (spec.protocols && !spec.protocols.includes(url.protocol)) {
+                throw new Error(`expected a ${spec.protocols.join(' or ')} URL, got "${raw}"`);
+            }
+            return String(raw);
+        }
+        
+        default:
+            throw new Error(`unknown setting type "${spec.type}"`);
+    }
+}
+
+/**
+ * Resolves and validates the proxy configuration. Every problem found is
+ * collected and reported together in a single ConfigError. `--no-env-file`
+ * skips `.env`, so a run configured entirely by its environment (the test
+ * suites) is not changed by a developer's local settings.
+ */
+export function loadConfig({ rootDir, argv = process.argv.slice(2), env = process.env } = {}) {
+    const problems = [];
+    
+    let dotenv = {};
+    const envPath = path.join(rootDir, '.env');
+    if (!argv.includes('--no-env-file') && fs.existsSync(envPath)) {
+        try {
+            dotenv = parseEnvFile(fs.readFileSync(envPath, 'utf8'));
+        } catch (error) {
+            problems.push(`.env: ${error.message}`);
+        }
+    }
+    
+    const configFlag = argv.indexOf('--config');
+    const configFile = configFlag !== -1 ? argv[configFlag + 1] : (env.CONFIG_FILE || dotenv.CONFIG_FILE);
+    
+    let fileValues = {};
+    if (configFile) {
+        try {
+            fileValues = readConfigFile(path.resolve(rootDir, configFile));
+        } catch (error) {
+            problems.push(`config file ${configFile}: ${error.message}`);
+        }
+    }
+    
+    const config = {};
+    const sources = {};
+    const invalid = new Set();
+    
+    for (const [keyPath, spec] of Object.entries(SCHEMA)) {
+        let raw;
+        let source;
+        
+        if (env[spec.env] !== undefined && env[spec.env] !== '') {
+            raw = env[spec.env];
+            source = `environment variable ${spec.env}`;
+        } else if (dotenv[spec.env] !== undefined && dotenv[spec.env] !== '') {
+            raw = dotenv[spec.env];
+            source = `${spec.env} in .env`;
+        } else if (getPath(fileValues, keyPath) !== undefined) {
+            raw = getPath(fileValues, keyPath);
+            source = `"${keyPath}" in ${configFile}`;
+        }
+        
+        let value = spec.default;
+        
+        if (raw !== undefined) {
+            try {
+                value = coerce(spec, raw, rootDir);
+            } catch (error) {
+                problems.push(`${source}: ${error.message}`);
+                invalid.add(keyPath);
+            }
+        } else if (spec.required) {
+            problems.push(`${spec.env} is required (set it in the environment, .env or "${keyPath}" in a config file)`);
+        }
+        
+        setPath(config, keyPath, value);
+        sources[keyPath] = source || 'default';
+    }
+    
+    for (const requirement of PROVIDER_REQUIREMENTS) {
+        if (!invalid.has(requirement.setting) && requirement.when(config) && !requirement.check(config)) {
+            problems.push(typeof requirement.message === 'function' ? requirement.message(config) : requirement.message);
+        }
+    }
+    
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    
+    Object.defineProperty(config, 'sources', { value: sources, enumerable: false });
+    return config;
+}
@@ -0,0 +1,67 @@
+/**
+ * Readiness: runs each named check (a function returning a promise for a
+ * short detail string) with a timeout, and reuses the result for `cacheMs`
+ * so frequent probes do not turn into upstream traffic.
+ */
+class ReadinessCheck {
+    constructor({ checks, timeoutMs = 3000, cacheMs = 10000 }) {
+        this.checks = checks;
+        this.timeoutMs = timeoutMs;
+        this.cacheMs = cacheMs;
+        this.lastResult = null;
+        this.running = null;
+    }
+    
+
+    async run() {
+        if (this.lastResult && Date.now() - this.lastResult.checkedAt < this.cacheMs) {
+            return this.lastResult;
+        }
+        
+        if (!this.running) {
+            this.running = this.runChecks().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+    
+
+    async runChecks() {
+        const names = Object.keys(this.checks);
+        const results = await Promise.all(names.map(name => this.runCheck(this.checks[name])));
+        
+        const checks = {};
+        names.forEach((name, index) => {
+            checks[name] = results[index];
+        });
+        
+        this.lastResult = {
+            ready: results.every(result => result.ok),
+            checks,
+            checkedAt: Date.now()
+        };
+        return this.lastResult;
+    }
+    
+
+    async runCheck(check) {
+        const startTime = Date.now();
+        let timer;
+        
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+            });
+            const detail = await Promise.race([check({ timeoutMs: this.timeoutMs }), timeout]);
+            
+            return { ok: true, detail, latencyMs: Date.now() - startTime };
+        } catch (error) {
+            return { ok: false, error: error.message, latencyMs: Date.now() - startTime };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+export default ReadinessCheck;
@@ -0,0 +1,25 @@
+// Client IP for limits and logs. X-Forwarded-For is only trusted when the
+// proxy is deployed behind a load balancer that sets it (TRUST_PROXY=true).
+export function getClientAddress(req, trustProxy = false) {
+    if (trustProxy && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    
+    return req.socket.remoteAddress || 'unknown';
+}
+
+// The origin the request was sent to, as a browser on the same page would
+// name it. X-Forwarded-Proto/-Host are only read with TRUST_PROXY=true:
+// otherwise any client could claim to be same-origin.
+export function getRequestOrigin(req, trustProxy = false) {
+    const forwarded = name => (trustProxy && req.headers[name] || '').split(',')[0].trim();
+    
+    const protocol = forwarded('x-forwarded-proto') || (req.socket.encrypted ? 'https' : 'http');
+    const host = forwarded('x-forwarded-host') || req.headers.host || '';
+    
+    try {
+        return new URL(`${protocol}://${host}`).origin;
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,60 @@
+import { getRequestOrigin } from './clientAddress.js';
+
+/**
+ * Origin allowlist shared by CORS, session issuing and the WebSocket upgrade.
+ * The page's own origin (scheme, host and port) is always allowed; `*` in the
+ * list allows any origin. Forwarded headers are only trusted with `trustProxy`.
+ */
+class OriginPolicy {
+    constructor({ allowedOrigins = [], trustProxy = false } = {}) {
+        this.trustProxy = trustProxy;
+        this.allowAny = allowedOrigins.includes('*');
+        this.allowedOrigins = new Set(allowedOrigins.filter(origin => origin !== '*').map(normalizeOrigin));
+    }
+    
+
+    isAllowed(origin, req) {
+        if (!origin) {
+            return false;
+        }
+        
+        if (this.allowAny || this.allowedOrigins.has(normalizeOrigin(origin))) {
+            return true;
+        }
+        
+        const requestOrigin = getRequestOrigin(req, this.trustProxy);
+        return requestOrigin !== null && normalizeOrigin(origin) === requestOrigin;
+    }
+    
+
+    // Sets CORS headers for allowed cross-origin callers. Returns false when a
+    // browser origin is present but not allowed.
+    applyCors(req, res) {
+        const origin = req.headers.origin;
+        res.setHeader('Vary', 'Origin');
+        
+        if (!origin) {
+            return true;
+        }
+        
+        if (!this.isAllowed(origin, req)) {
+            return false;
+        }
+        
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Max-Age', '600');
+        return true;
+    }
+}
+
+function normalizeOrigin(origin) {
+    try {
+        return new URL(origin).origin;
+    } catch (error) {
+        return origin;
+    }
+}
+
+export default OriginPolicy;
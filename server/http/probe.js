@@ -0,0 +1,38 @@
+import http from 'http';
+import https from 'https';
+import { UpstreamError } from '../upstreamError.js';
+
+/**
+ * Readiness probe for an HTTP upstream: a GET that proves the host answers
+ * and, when an API key is sent, that it is accepted. Any response other than
+ * 401/403 counts as reachable, since not every compatible server implements
+ * the probed path.
+ */
+export function probeEndpoint(url, { name, apiKey = '', timeoutMs = 3000 }) {
+    return new Promise((resolve, reject) => {
+        const transport = url.protocol === 'https:' ? https : http;
+        const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+        
+        const req = transport.request(url, { method: 'GET', headers }, (res) => {
+            res.resume();
+            
+            if (res.statusCode === 401 || res.statusCode === 403) {
+                reject(UpstreamError.fromStatus(`${name} rejected the credentials (HTTP ${res.statusCode})`, res.statusCode));
+                return;
+            }
+            
+            resolve({ statusCode: res.statusCode });
+        });
+        
+        req.on('error', (error) => {
+            reject(new UpstreamError(`${name} unreachable: ${error.message}`, { kind: 'network' }));
+        });
+        
+        req.setTimeout(timeoutMs, () => {
+            req.destroy();
+            reject(new UpstreamError(`${name} did not answer within ${timeoutMs}ms`, { kind: 'timeout' }));
+        });
+        
+        req.end();
+    });
+}
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.wasm': 'application/wasm',
+    '.ppn': 'application/octet-stream',
+    '.pv': 'application/octet-stream',
+    '.map': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4'
+};
+
+// Documents that change with a deploy must be revalidated on every load
+const REVALIDATE_EXTENSIONS = new Set(['.html', '.json']);
+
+/**
+ * Serves files from a set of mounts. A mount maps a URL prefix to a directory
+ * and only exposes what it explicitly allows, so secrets sitting next to the
+ * app (`.env`, service account JSON) are never reachable:
+ *
+ *   { prefix: '/js/', dir: 'js', extensions: ['.js'] }
+ *   { prefix: '/', dir: '.', files: ['index.html'], recursive: false }
+ *
+ * Returns a handler that answers GET/HEAD requests it can serve and returns
+ * false for anything else.
+ */
+export function createStaticHandler({ mounts, index = 'index.html', maxAgeSeconds = 3600 }) {
+    const resolvedMounts = mounts.map(mount => ({
+        recursive: true,
+        ...mount,
+        dir: path.resolve(mount.dir)
+    }));
+    
+    return function handleStatic(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return false;
+        }
+        
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            sendError(res, 400, 'Bad Request');
+            return true;
+        }
+        
+        if (pathname.includes('\0')) {
+            sendError(res, 400, 'Bad Request');
+            return true;
+        }
+        
+        if (pathname === '/') {
+            pathname = `/${index}`;
+        }
+        
+        for (const mount of resolvedMounts) {
+            if (!pathname.startsWith(mount.prefix)) {
+                continue;
+            }
+            
+            const filePath = resolveInMount(mount, pathname.slice(mount.prefix.length));
+            if (!filePath) {
+                continue;
+            }
+            
+            let stats;
+            try {
+                stats = fs.statSync(filePath);
+            } catch (error) {
+                continue;
+            }
+            
+            if (!stats.isFile()) {
+                continue;
+            }
+            
+            serveFile(req, res, filePath, stats, maxAgeSeconds);
+            return true;
+        }
+        
+        return false;
+    };
+}
+
+function resolveInMount(mount, relativePath) {
+    const segments = relativePath.split('/').filter(Boolean);
+    
+    // No dotfiles or parent segments, whatever the encoding the client used
+    if (segments.length === 0 || segments.some(segment => segment.startsWith('.'))) {
+        return null;
+    }
+    
+    if (!mount.recursive && segments.length > 1) {
+        return null;
+    }
+    
+    const filePath = path.resolve(mount.dir, ...segments);
+    if (!filePath.startsWith(mount.dir + path.sep)) {
+        return null;
+    }
+    
+    const name = segments[segments.length - 1];
+    const extension = path.extname(name).toLowerCase();
+    const allowedFile = mount.files && mount.files.includes(segments.join('/'));
+    const allowedExtension = mount.extensions && mount.extensions.includes(extension);
+    
+    if (!allowedFile && !allowedExtension) {
+        return null;
+    }
+    
+    return filePath;
+}
+
+function serveFile(req, res, filePath, stats, maxAgeSeconds) {
+    const extension = path.extname(filePath).toLowerCase();
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    
+    const headers = {
+        'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Cache-Control': REVALIDATE_EXTENSIONS.has(extension) ? 'no-cache' : `public, max-age=${maxAgeSeconds}`,
+        'Accept-Ranges': 'bytes',
+        'X-Content-Type-Options': 'nosniff'
+    };
+    
+    if (isNotModified(req, etag, stats.mtime)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    
+    let start = 0;
+    let end = stats.size - 1;
+    let status = 200;
+    
+    const range = req.headers.range;
+    if (range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+        const parsed = parseRange(range, stats.size);
+        
+        if (parsed === null) {
+            res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+            res.end();
+            return;
+        }
+        
+        if (parsed) {
+            ({ start, end } = parsed);
+            status = 206;
+            headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+        }
+    }
+    
+    headers['Content-Length'] = stats.size === 0 ? 0 : end - start + 1;
+    res.writeHead(status, headers);
+    
+    if (req.method === 'HEAD' || stats.size === 0) {
+        res.end();
+        return;
+    }
+    
+    const stream = fs.createReadStream(filePath, { start, end });
+    stream.on('error', (error) => {
+        logger.error('Static file read error', { file: filePath, error });
+        res.destroy(error);
+    });
+    stream.pipe(res);
+}
+
+function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+    }
+    
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Parses a single-range `Range` header. Returns undefined when the header
+ * should be ignored (malformed or multi-range: serve the whole file), null
+ * when the range is unsatisfiable.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return undefined;
+    }
+    
+    let start;
+    let end;
+    
+    if (match[1] === '') {
+        const suffixLength = Number(match[2]);
+        if (suffixLength === 0) {
+            return null;
+        }
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    
+    if (start >= size || start > end) {
+        return null;
+    }
+    
+    return { start, end };
+}
+
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(`${message}\n`);
+}
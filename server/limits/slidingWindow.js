@@ -0,0 +1,65 @@
+/**
+ * Counts usage over a trailing window in one-second buckets.
+ */
+class SlidingWindow {
+    constructor(windowMs = 60000) {
+        this.windowMs = windowMs;
+        this.buckets = new Map();
+    }
+    
+
+    prune(now = Date.now()) {
+        const oldest = Math.floor((now - this.windowMs) / 1000);
+        
+        for (const second of this.buckets.keys()) {
+            if (second <= oldest) {
+                this.buckets.delete(second);
+            }
+        }
+    }
+    
+
+    total(now = Date.now()) {
+        this.prune(now);
+        
+        let sum = 0;
+        for (const amount of this.buckets.values()) {
+            sum += amount;
+        }
+        return sum;
+    }
+    
+
+    add(amount, now = Date.now()) {
+        const second = Math.floor(now / 1000);
+        this.buckets.set(second, (this.buckets.get(second) || 0) + amount);
+    }
+    
+
+    // How long until `amount` more fits under `limit`, as old buckets expire
+    retryAfterMs(amount, limit, now = Date.now()) {
+        let total = this.total(now);
+        
+        if (total + amount <= limit) {
+            return 0;
+        }
+        
+        const seconds = [...this.buckets.keys()].sort((a, b) => a - b);
+        for (const second of seconds) {
+            total -= this.buckets.get(second);
+            if (total + amount <= limit) {
+                return Math.max(0, second * 1000 + this.windowMs - now);
+            }
+        }
+        
+        return this.windowMs;
+    }
+    
+
+    isEmpty(now = Date.now()) {
+        this.prune(now);
+        return this.buckets.size === 0;
+    }
+}
+
+export default SlidingWindow;
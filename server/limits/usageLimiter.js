@@ -0,0 +1,182 @@
+import SlidingWindow from './slidingWindow.js';
+import { errorMessage } from '../../js/protocol/messages.js';
+
+const WINDOW_MS = 60000;
+
+const LIMIT_NAMES = {
+    audioSeconds: 'Audio',
+    partialAudioSeconds: 'Partial transcript audio',
+    ttsChars: 'TTS character'
+};
+
+/**
+ * Per-session and per-IP usage limits: streamed audio seconds, seconds of
+ * audio re-uploaded for partial transcripts and TTS characters per minute,
+ * plus concurrent connections. A limit of 0 disables
+ * that check. Counters are kept in memory for the lifetime of the process.
+ */
+class UsageLimiter {
+    constructor({ enabled = true, limits }) {
+        this.enabled = enabled;
+        this.limits = limits;
+        this.usage = new Map();
+        
+        // Drop counters for clients that have gone quiet
+        this.sweepTimer = setInterval(() => this.sweep(), WINDOW_MS);
+        this.sweepTimer.unref();
+    }
+    
+
+    entry(scope, key) {
+        const id = `${scope}:${key}`;
+        let entry = this.usage.get(id);
+        
+        if (!entry) {
+            entry = {
+                scope,
+                key,
+                connections: 0,
+                audioSeconds: new SlidingWindow(WINDOW_MS),
+                partialAudioSeconds: new SlidingWindow(WINDOW_MS),
+                ttsChars: new SlidingWindow(WINDOW_MS),
+                totals: { audioSeconds: 0, partialAudioSeconds: 0, ttsChars: 0, rejected: 0 }
+            };
+            this.usage.set(id, entry);
+        }
+        
+        return entry;
+    }
+    
+
+    entriesFor({ ip, sessionId }) {
+        const entries = [this.entry('ip', ip)];
+        if (sessionId) {
+            entries.push(this.entry('session', sessionId));
+        }
+        return entries;
+    }
+    
+
+    limitFor(scope, name) {
+        return this.limits[name][scope] || 0;
+    }
+    
+
+    openConnection(client) {
+        const entries = this.entriesFor(client);
+        
+        if (this.enabled) {
+            for (const entry of entries) {
+                const limit = this.limitFor(entry.scope, 'connections');
+                if (limit && entry.connections >= limit) {
+                    entry.totals.rejected++;
+                    return this.rejection(entry, 'connections', limit, null);
+                }
+            }
+        }
+        
+        entries.forEach(entry => entry.connections++);
+        return { ok: true };
+    }
+    
+
+    closeConnection(client) {
+        for (const entry of this.entriesFor(client)) {
+            entry.connections = Math.max(0, entry.connections - 1);
+        }
+    }
+    
+
+    // Records `amount` of `name` (audioSeconds | partialAudioSeconds | ttsChars) unless a limit
+    // would be exceeded, in which case nothing is recorded.
+    consume(client, name, amount) {
+        const entries = this.entriesFor(client);
+        const now = Date.now();
+        
+        if (this.enabled) {
+            for (const entry of entries) {
+                const limit = this.limitFor(entry.scope, name);
+                if (limit && entry[name].total(now) + amount > limit) {
+                    entry.totals.rejected++;
+                    return this.rejection(entry, name, limit, entry[name].retryAfterMs(amount, limit, now));
+                }
+            }
+        }
+        
+        for (const entry of entries) {
+            entry[name].add(amount, now);
+            entry.totals[name] += amount;
+        }
+        
+        return { ok: true };
+    }
+    
+
+    rejection(entry, name, limit, retryAfterMs) {
+        return {
+            ok: false,
+            scope: entry.scope,
+            limit: name,
+            max: limit,
+            retryAfterMs,
+            message: name === 'connections'
+                ? `Too many concurrent connections for this ${entry.scope} (max ${limit})`
+                : `${LIMIT_NAMES[name]} limit reached for this ${entry.scope} (max ${limit} per minute)`
+        };
+    }
+    
+
+    describe(entry) {
+        return {
+            scope: entry.scope,
+            connections: entry.connections,
+            lastMinute: {
+                audioSeconds: Number(entry.audioSeconds.total().toFixed(2)),
+                partialAudioSeconds: Number(entry.partialAudioSeconds.total().toFixed(2)),
+                ttsChars: entry.ttsChars.total()
+            },
+            totals: {
+                audioSeconds: Number(entry.totals.audioSeconds.toFixed(2)),
+                partialAudioSeconds: Number(entry.totals.partialAudioSeconds.toFixed(2)),
+                ttsChars: entry.totals.ttsChars,
+                rejected: entry.totals.rejected
+            },
+            limits: {
+                connections: this.limitFor(entry.scope, 'connections'),
+                audioSecondsPerMinute: this.limitFor(entry.scope, 'audioSeconds'),
+                partialAudioSecondsPerMinute: this.limitFor(entry.scope, 'partialAudioSeconds'),
+                ttsCharsPerMinute: this.limitFor(entry.scope, 'ttsChars')
+            }
+        };
+    }
+    
+
+    getUsage({ ip, sessionId }) {
+        return {
+            ip: this.describe(this.entry('ip', ip)),
+            session: sessionId ? this.describe(this.entry('session', sessionId)) : null,
+            maxUtteranceBytes: this.limits.maxUtteranceBytes,
+            maxUtteranceSeconds: this.limits.maxUtteranceSeconds
+        };
+    }
+    
+
+    sweep() {
+        for (const [id, entry] of this.usage) {
+            if (entry.connections === 0 && entry.audioSeconds.isEmpty() && entry.partialAudioSeconds.isEmpty() && entry.ttsChars.isEmpty()) {
+                this.usage.delete(id);
+            }
+        }
+    }
+}
+
+// The error message sent to clients for a rejection from this limiter
+export function limitErrorMessage(rejection) {
+    return errorMessage('RATE_LIMITED', rejection.message, {
+        limit: rejection.limit,
+        scope: rejection.scope,
+        retryAfterMs: rejection.retryAfterMs
+    });
+}
+
+export default UsageLimiter;
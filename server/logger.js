@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Structured logger. Each line is one JSON object with `time`, `level`,
+ * `msg` and any bound or per-call fields; `text` format renders the same
+ * fields on one readable line for local development. The optional file
+ * sink always receives JSON.
+ *
+ *   const log = logger.child({ sessionId, turnId });
+ *   log.info('Transcription completed', { durationMs: 412 });
+ *
+ * Children share the root's settings, so `configure()` at startup applies
+ * to loggers created by modules at import time.
+ */
+class Logger {
+    constructor(fields = {}, settings = null) {
+        this.fields = fields;
+        this.settings = settings || { level: LEVELS.info, format: 'json', fileStream: null };
+    }
+    
+
+    configure({ level = 'info', format = 'json', file = null } = {}) {
+        this.settings.level = LEVELS[level] ?? LEVELS.info;
+        this.settings.format = format;
+        
+        if (this.settings.fileStream) {
+            this.settings.fileStream.end();
+            this.settings.fileStream = null;
+        }
+        if (file) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            this.settings.fileStream = fs.createWriteStream(file, { flags: 'a' });
+            this.settings.fileStream.on('error', (error) => {
+                process.stderr.write(`Log file ${file} unavailable: ${error.message}\n`);
+                this.settings.fileStream = null;
+            });
+        }
+    }
+    
+
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields }, this.settings);
+    }
+    
+
+    isEnabled(level) {
+        return LEVELS[level] >= this.settings.level;
+    }
+    
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+    
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+    
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+    
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+    
+
+    write(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        
+        const entry = { time: new Date().toISOString(), level, msg };
+        for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+            if (value !== undefined && value !== null) {
+                entry[key] = value instanceof Error ? serializeError(value) : value;
+            }
+        }
+        
+        const json = JSON.stringify(entry);
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write((this.settings.format === 'text' ? formatText(entry) : json) + '\n');
+        
+        if (this.settings.fileStream) {
+            this.settings.fileStream.write(json + '\n');
+        }
+    }
+    
+
+    close() {
+        return new Promise((resolve) => {
+            if (!this.settings.fileStream) {
+                resolve();
+                return;
+            }
+            this.settings.fileStream.end(resolve);
+            this.settings.fileStream = null;
+        });
+    }
+}
+
+function serializeError(error) {
+    const serialized = { message: error.message, name: error.name };
+    
+    if (error.kind) {
+        serialized.kind = error.kind;
+    }
+    if (error.code) {
+        serialized.code = error.code;
+    }
+    if (!error.kind && error.stack) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+}
+
+function formatText({ time, level, msg, ...fields }) {
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+export default new Logger();
@@ -0,0 +1,158 @@
+import MetricsRegistry from './registry.js';
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+const ENCODE_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+const COMPRESSION_BUCKETS = [1, 1.25, 1.5, 1.75, 2, 2.5, 3, 4];
+
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * The proxy's metrics. Cache figures and circuit breaker states are read at
+ * scrape time; everything else is updated by the connection handlers.
+ * `upstreams` maps a service name to its FailoverProvider.
+ */
+export function createProxyMetrics({ ttsCache = null, upstreams = {} } = {}) {
+    const registry = new MetricsRegistry();
+    
+    const metrics = {
+        registry,
+        
+        sttLatency: registry.histogram({
+            name: 'voice_stt_transcription_seconds',
+            help: 'Time from transcribe request to final transcript.',
+            labelNames: ['provider'],
+            buckets: LATENCY_BUCKETS
+        }),
+        ttsFirstAudio: registry.histogram({
+            name: 'voice_tts_first_audio_seconds',
+            help: 'Time from speak request to the first audio chunk sent.',
+            labelNames: ['provider'],
+            buckets: LATENCY_BUCKETS
+        }),
+        ttsLatency: registry.histogram({
+            name: 'voice_tts_synthesis_seconds',
+            help: 'Time from speak request to the last audio chunk sent.',
+            labelNames: ['provider'],
+            buckets: LATENCY_BUCKETS
+        }),
+        audioReceivedBytes: registry.counter({
+            name: 'voice_stt_audio_received_bytes_total',
+            help: 'PCM audio bytes received from clients for transcription.'
+        }),
+        audioSentBytes: registry.counter({
+            name: 'voice_tts_audio_sent_bytes_total',
+            help: 'PCM audio bytes streamed to clients.'
+        }),
+        activeSessions: registry.gauge({
+            name: 'voice_active_sessions',
+            help: 'Open client WebSocket connections.',
+            labelNames: ['service']
+        }),
+        upstreamErrors: registry.counter({
+            name: 'voice_upstream_errors_total',
+            help: 'Failed STT/TTS provider requests by cause.',
+            labelNames: ['service', 'provider', 'cause']
+        }),
+        sttUploadBytes: registry.counter({
+            name: 'voice_stt_upload_bytes_total',
+            help: 'Encoded audio bytes uploaded to STT providers, partial transcripts included.',
+            labelNames: ['provider', 'format']
+        }),
+        sttUploadCompression: registry.histogram({
+            name: 'voice_stt_upload_compression_ratio',
+            help: 'PCM size over uploaded size for each STT upload.',
+            labelNames: ['provider', 'format'],
+            buckets: COMPRESSION_BUCKETS
+        }),
+        sttUploadEncode: registry.histogram({
+            name: 'voice_stt_upload_encode_seconds',
+            help: 'Time spent encoding audio for an STT upload.',
+            labelNames: ['format'],
+            buckets: ENCODE_BUCKETS
+        }),
+        sttNoSpeech: registry.counter({
+            name: 'voice_stt_no_speech_total',
+            help: 'Utterances without speech, answered without calling the STT provider.'
+        }),
+        sttTrimmedBytes: registry.counter({
+            name: 'voice_stt_vad_trimmed_bytes_total',
+            help: 'Leading and trailing silence trimmed from utterances before transcription.'
+        }),
+        limitRejections: registry.counter({
+            name: 'voice_limit_rejections_total',
+            help: 'Requests refused by usage limits.',
+            labelNames: ['limit', 'scope']
+        }),
+        upstreamRetries: registry.counter({
+            name: 'voice_upstream_retries_total',
+            help: 'Provider requests repeated after a transient failure.',
+            labelNames: ['service', 'provider']
+        }),
+        upstreamFailovers: registry.counter({
+            name: 'voice_upstream_failovers_total',
+            help: 'Requests handed to the next provider in the fallback chain.',
+            labelNames: ['service', 'from', 'to']
+        })
+    };
+    
+    registry.gauge({
+        name: 'voice_upstream_circuit_state',
+        help: 'Circuit breaker state per provider (0 closed, 1 half-open, 2 open).',
+        labelNames: ['service', 'provider'],
+        collect: () => Object.entries(upstreams).flatMap(([service, upstream]) => upstream.getStatus().upstreams.map(({ provider, circuit }) => ({
+            labels: { service, provider },
+            value: CIRCUIT_STATES[circuit]
+        })))
+    });
+    registry.gauge({
+        name: 'voice_upstream_degraded',
+        help: 'Whether the service\'s primary provider is failing (1) or healthy (0).',
+        labelNames: ['service'],
+        collect: () => Object.entries(upstreams).map(([service, upstream]) => ({
+            labels: { service },
+            value: upstream.getStatus().degraded ? 1 : 0
+        }))
+    });
+    
+    if (ttsCache) {
+        registry.counter({
+            name: 'voice_tts_cache_hits_total',
+            help: 'TTS cache lookups served from the cache.',
+            collect: () => ttsCache.getStats().hits
+        });
+        registry.counter({
+            name: 'voice_tts_cache_misses_total',
+            help: 'TTS cache lookups that went to the provider.',
+            collect: () => ttsCache.getStats().misses
+        });
+        registry.gauge({
+            name: 'voice_tts_cache_hit_ratio',
+            help: 'Share of TTS cache lookups served from the cache.',
+            collect: () => ttsCache.getStats().hitRate
+        });
+        registry.gauge({
+            name: 'voice_tts_cache_entries',
+            help: 'Audio segments held in memory by the TTS cache.',
+            collect: () => ttsCache.getStats().entries
+        });
+        registry.gauge({
+            name: 'voice_tts_cache_bytes',
+            help: 'Audio bytes held in memory by the TTS cache.',
+            collect: () => ttsCache.getStats().bytes
+        });
+    }
+    
+    registry.gauge({
+        name: 'process_resident_memory_bytes',
+        help: 'Resident memory size in bytes.',
+        collect: () => process.memoryUsage().rss
+    });
+    registry.gauge({
+        name: 'process_uptime_seconds',
+        help: 'Seconds since the proxy started.',
+        collect: () => Math.round(process.uptime())
+    });
+    
+    return metrics;
+}
@@ -0,0 +1,188 @@
+/**
+ * Minimal Prometheus client: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (version 0.0.4). Counters and gauges
+ * can take a `collect` callback that is read at scrape time instead of being
+ * updated, for figures another component already keeps.
+ */
+class Metric {
+    constructor(type, { name, help, labelNames = [], collect = null }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect;
+        this.series = new Map();
+    }
+    
+
+    seriesFor(labels) {
+        const key = this.labelNames.map(label => String(labels[label] ?? '')).join('\u0000');
+        
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: { ...labels }, value: 0 });
+        }
+        return this.series.get(key);
+    }
+    
+
+    samples() {
+        if (this.collect) {
+            const collected = this.collect();
+            const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+            return values.map(({ labels, value }) => ({ name: this.name, labels, value }));
+        }
+        
+        return [...this.series.values()].map(({ labels, value }) => ({ name: this.name, labels, value }));
+    }
+}
+
+export class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+    
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+    
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+    
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+    
+
+    dec(labels = {}, amount = 1) {
+        this.seriesFor(labels).value -= amount;
+    }
+
+}
+
+export class Histogram extends Metric {
+    constructor({ buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+    
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        
+        if (!series.counts) {
+            series.counts = new Array(this.buckets.length).fill(0);
+            series.sum = 0;
+            series.count = 0;
+        }
+        
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+    
+
+    samples() {
+        const samples = [];
+        
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[index] });
+            });
+            samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+            samples.push({ name: `${this.name}_sum`, labels, value: sum });
+            samples.push({ name: `${this.name}_count`, labels, value: count });
+        }
+        
+        return samples;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+    
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+    
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+    
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+    
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+    
+
+    render() {
+        const lines = [];
+        
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            
+            for (const { name, labels, value } of metric.samples()) {
+                lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+        
+        return lines.join('\n') + '\n';
+    }
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(String(value))}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function escapeHelp(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { createMockServer } from './mockServer.js';
+import { createWavFile } from '../audio/wav.js';
+
+const DEFAULT_VOICES = ['en-US-Standard-F', 'en-US-Standard-C', 'en-US-Wavenet-F'];
+
+// google.rpc.Code names, as Google's REST errors carry them
+const STATUS_NAMES = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    503: 'UNAVAILABLE',
+    504: 'DEADLINE_EXCEEDED'
+};
+
+/**
+ * Stand-in for Google Cloud Text-to-Speech over REST (`POST /v1/text:synthesize`,
+ * `GET /v1/voices`), which the Google adapter uses when TTS_BASE_URL is set.
+ * Speech is a tone whose pitch is derived from the text and whose length
+ * grows with it, as a WAV file like Google's LINEAR16 responses: the same
+ * text always gives the same audio, different texts audibly differ.
+ */
+export function createMockGoogleTTSServer({ voices = DEFAULT_VOICES, msPerChar = 60, ...options } = {}) {
+    return createMockServer({
+        name: 'Google TTS',
+        errorBody,
+        ...options,
+        routes: [
+            {
+                method: 'GET',
+                path: pathname => pathname === '/v1/voices',
+                scripted: false,
+                handle: async ({ url }) => {
+                    const languageCode = url.searchParams.get('languageCode');
+                    const matching = voices.filter(name => !languageCode || name.startsWith(languageCode));
+                    
+                    return {
+                        json: {
+                            voices: matching.map(name => ({
+                                name,
+                                languageCodes: [name.split('-').slice(0, 2).join('-')],
+                                ssmlGender: 'FEMALE',
+                                naturalSampleRateHertz: 24000
+                            }))
+                        }
+                    };
+                }
+            },
+            {
+                method: 'POST',
+                path: pathname => pathname === '/v1/text:synthesize',
+                scripted: true,
+                handle: async ({ body }) => {
+                    const { input = {}, voice = {}, audioConfig = {} } = JSON.parse(body.toString('utf8') || '{}');
+                    const text = input.text ?? input.ssml?.replace(/<[^>]*>/g, '') ?? '';
+                    const details = { text, voice: voice.name, speakingRate: audioConfig.speakingRate, pitch: audioConfig.pitch };
+                    
+                    if (!text.trim()) {
+                        return { status: 400, json: errorBody(400, 'Either `input.text` or `input.ssml` is required'), details };
+                    }
+                    if (voice.name && !voices.includes(voice.name)) {
+                        return { status: 400, json: errorBody(400, `Voice '${voice.name}' does not exist`), details };
+                    }
+                    // LINEAR16 is enum value 1 when the client sends enums as integers
+                    if (![1, 'LINEAR16', undefined].includes(audioConfig.audioEncoding)) {
+                        return { status: 400, json: errorBody(400, 'The mock only produces LINEAR16'), details };
+                    }
+                    
+                    const sampleRate = audioConfig.sampleRateHertz || 24000;
+                    const durationMs = Math.min(15000, Math.max(200, text.length * msPerChar / (audioConfig.speakingRate || 1)));
+                    const audio = createWavFile(tone(text, durationMs, sampleRate), sampleRate);
+                    
+                    return { json: { audioContent: audio.toString('base64') }, details: { ...details, durationMs } };
+                }
+            }
+        ]
+    });
+}
+
+function errorBody(status, message) {
+    return { error: { code: status, message, status: STATUS_NAMES[status] || 'UNKNOWN' } };
+}
+
+// A sine between 220 and 660 Hz picked by the text's hash, faded in and out
+// over 10 ms so chunk boundaries stay click-free
+function tone(text, durationMs, sampleRate) {
+    const frequency = 220 + crypto.createHash('sha256').update(text).digest().readUInt16BE(0) % 440;
+    const samples = Math.round(sampleRate * durationMs / 1000);
+    const fadeSamples = Math.round(sampleRate * 0.01);
+    const pcm = Buffer.alloc(samples * 2);
+    
+    for (let i = 0; i < samples; i++) {
+        const fade = Math.min(1, i / fadeSamples, (samples - 1 - i) / fadeSamples);
+        const value = 0.25 * fade * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+        pcm.writeInt16LE(Math.round(value * 32767), i * 2);
+    }
+    
+    return pcm;
+}
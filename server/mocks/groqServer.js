@@ -0,0 +1,152 @@
+import { createMockServer } from './mockServer.js';
+
+const MODELS = ['whisper-large-v3-turbo', 'whisper-large-v3'];
+
+/**
+ * Stand-in for Groq's OpenAI-compatible transcription API
+ * (`POST .../audio/transcriptions`, `GET .../models`). Successful requests
+ * get the scripted `transcripts` in order, cycling; the uploaded file is
+ * checked and its format, size, model and language are listed under
+ * `/mock/requests`. Any Bearer token is accepted unless `apiKey` is set.
+ *
+ * `verbose_json` responses time the words 0.4 s apart with high confidence.
+ * A transcript in brackets, "[Thank you.]", is returned without them as
+ * Whisper's typical hallucination on silence: low confidence and a high
+ * no-speech probability.
+ */
+export function createMockGroqServer({ transcripts = ['what is qplus'], apiKey = null, ...options } = {}) {
+    let transcriptPosition = 0;
+    
+    const authorize = (req) => {
+        const token = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+        return token && (!apiKey || token === apiKey);
+    };
+    
+    return createMockServer({
+        name: 'Groq STT',
+        errorBody,
+        ...options,
+        routes: [
+            {
+                method: 'GET',
+                path: pathname => pathname.endsWith('/models'),
+                scripted: false,
+                handle: async ({ req }) => authorize(req)
+                    ? { json: { object: 'list', data: MODELS.map(id => ({ id, object: 'model', owned_by: 'mock' })) } }
+                    : { status: 401, json: errorBody(401, 'Invalid API Key') }
+            },
+            {
+                method: 'POST',
+                path: pathname => pathname.endsWith('/audio/transcriptions'),
+                scripted: true,
+                handle: async ({ req, body }) => {
+                    if (!authorize(req)) {
+                        return { status: 401, json: errorBody(401, 'Invalid API Key') };
+                    }
+                    
+                    const fields = parseMultipart(body, req.headers['content-type']);
+                    const file = fields.file;
+                    const details = {
+                        model: fields.model?.text,
+                        language: fields.language?.text,
+                        prompt: fields.prompt?.text,
+                        format: file ? audioFormat(file.data) : null,
+                        audioBytes: file ? file.data.length : 0
+                    };
+                    
+                    if (!file || !details.format) {
+                        return { status: 400, json: errorBody(400, 'file must be a wav or flac upload'), details };
+                    }
+                    if (!MODELS.includes(details.model)) {
+                        return { status: 404, json: errorBody(404, `The model \`${details.model}\` does not exist`), details };
+                    }
+                    
+                    const scripted = transcripts[transcriptPosition++ % transcripts.length];
+                    const hallucination = /^\[.*\]$/.test(scripted);
+                    const text = hallucination ? scripted.slice(1, -1) : scripted;
+                    const verbose = fields.response_format?.text === 'verbose_json';
+                    
+                    return {
+                        json: {
+                            text,
+                            ...(verbose && verboseFields(text, hallucination)),
+                            x_groq: { id: `req_mock_${transcriptPosition}` }
+                        },
+                        details: { ...details, responseFormat: fields.response_format?.text, text }
+                    };
+                }
+            }
+        ]
+    });
+}
+
+function errorBody(status, message) {
+    return {
+        error: {
+            message,
+            type: status === 401 ? 'invalid_request_error' : 'api_error',
+            code: status === 401 ? 'invalid_api_key' : null
+        }
+    };
+}
+
+function verboseFields(text, hallucination) {
+    const words = text.split(/\s+/).filter(Boolean).map((word, i) => ({
+        word,
+        start: (i * 40) / 100,
+        end: (i * 40 + 35) / 100
+    }));
+    const duration = (words.length * 40) / 100;
+    
+    return {
+        task: 'transcribe',
+        duration,
+        segments: [{
+            id: 0,
+            start: 0,
+            end: duration,
+            text: ` ${text}`,
+            avg_logprob: hallucination ? -1.4 : -0.12,
+            no_speech_prob: hallucination ? 0.92 : 0.01,
+            compression_ratio: 1
+        }],
+        words
+    };
+}
+
+function audioFormat(data) {
+    const magic = data.toString('ascii', 0, 4);
+    return magic === 'fLaC' ? 'flac' : magic === 'RIFF' ? 'wav' : null;
+}
+
+// Just enough multipart/form-data parsing for the adapter's uploads
+function parseMultipart(body, contentType = '') {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (!boundary) {
+        return {};
+    }
+    
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const fields = {};
+    let start = body.indexOf(delimiter);
+    
+    while (start !== -1) {
+        const partStart = start + delimiter.length + 2;
+        const next = body.indexOf(delimiter, partStart);
+        if (next === -1) {
+            break;
+        }
+        
+        const part = body.subarray(partStart, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const name = /name="([^"]*)"/.exec(part.toString('utf8', 0, headerEnd));
+        if (name) {
+            const data = part.subarray(headerEnd + 4);
+            fields[name[1]] = { data, text: data.toString('utf8') };
+        }
+        
+        start = next;
+    }
+    
+    return fields;
+}
@@ -0,0 +1,118 @@
+import http from 'http';
+
+/**
+ * Base for the stand-in upstream servers used to run the proxy offline.
+ * Before every scripted route it waits `delayMs`, then takes the next entry
+ * of `outcomes` (cycling):
+ *
+ *   ok          handle the request normally
+ *   <status>    answer with that HTTP status and the upstream's error body
+ *   hang        never answer; the caller's timeout has to give up
+ *   malformed   answer 200 with a body that is not JSON
+ *
+ * `GET /mock/requests` lists what was received, `POST /mock/reset` clears
+ * it and restarts the script, so a test run can check what the proxy sent.
+ * A reset body of `{ "outcomes": "ok,503" }` replaces the script as well.
+ *
+ * Route: { method, path: pathname => boolean, scripted, handle({ req, url, body }) }
+ * where handle returns { status?, json, headers?, details? }.
+ */
+export function createMockServer({ name, routes, delayMs = 0, outcomes = ['ok'], errorBody, log = () => {} }) {
+    let received = [];
+    let scriptPosition = 0;
+    
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        try {
+            const body = await readBody(req);
+            
+            if (url.pathname === '/mock/requests' && req.method === 'GET') {
+                sendJson(res, 200, { requests: received });
+                return;
+            }
+            if (url.pathname === '/mock/reset' && req.method === 'POST') {
+                const script = body.length > 0 ? JSON.parse(body).outcomes : undefined;
+                if (script !== undefined) {
+                    outcomes = parseOutcomes(script);
+                }
+                received = [];
+                scriptPosition = 0;
+                sendJson(res, 200, { reset: true });
+                return;
+            }
+            
+            const route = routes.find(candidate => candidate.method === req.method && candidate.path(url.pathname));
+            if (!route) {
+                sendJson(res, 404, errorBody(404, `No mock route for ${req.method} ${url.pathname}`));
+                return;
+            }
+            
+            const outcome = route.scripted ? String(outcomes[scriptPosition++ % outcomes.length]) : 'ok';
+            const entry = { method: req.method, path: url.pathname, outcome };
+            received.push(entry);
+            log(`${name}: ${req.method} ${url.pathname} -> ${outcome}`);
+            
+            if (route.scripted && delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+            
+            if (outcome === 'hang') {
+                return;
+            }
+            if (outcome === 'malformed') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end('{"truncated":');
+                return;
+            }
+            if (/^\d{3}$/.test(outcome)) {
+                const status = Number(outcome);
+                res.setHeader('Retry-After', status === 429 ? '1' : '0');
+                sendJson(res, status, errorBody(status, `Scripted ${status} from the mock ${name}`));
+                return;
+            }
+            
+            const { status = 200, json, headers = {}, details = {} } = await route.handle({ req, url, body });
+            Object.assign(entry, details);
+            sendJson(res, status, json, headers);
+        } catch (error) {
+            sendJson(res, 500, errorBody(500, error.message));
+        }
+    });
+    
+    return server;
+}
+
+// Outcome scripts as given on the command line or in the environment:
+// "ok,503,hang" (an empty entry counts as ok)
+export function parseOutcomes(value) {
+    if (!value) {
+        return ['ok'];
+    }
+    
+    return value.split(',').map((entry) => {
+        const outcome = entry.trim() || 'ok';
+        if (!['ok', 'hang', 'malformed'].includes(outcome) && !/^[1-5]\d\d$/.test(outcome)) {
+            throw new Error(`Unknown mock outcome "${outcome}" (expected ok, hang, malformed or an HTTP status)`);
+        }
+        return outcome;
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body, headers = {}) {
+    if (res.writableEnded || res.destroyed) {
+        return;
+    }
+    
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
@@ -0,0 +1,32 @@
+/**
+ * Wire protocol versions spoken by the proxy.
+ *
+ *   1: every message is JSON, audio is base64 in `audio`/`data` fields
+ *   2: control messages are JSON, audio is raw 16 kHz LINEAR16 in binary frames
+ *
+ * Clients announce what they speak in `start` ({ protocol, audioFrames });
+ * the proxy answers with the agreed settings in `ready`. Clients that send no
+ * `protocol` field are treated as version 1.
+ *
+ * The session socket (`?service=session`) carries STT and TTS over one
+ * connection. Every JSON message is wrapped in an envelope
+ * `{ v, channel, type, turnId?, ... }` where `channel` is `session`, `stt`
+ * or `tts`; the session `start`/`ready` exchange negotiates the protocol
+ * above for both channels. Binary frames need no envelope: client frames
+ * are always STT audio and server frames always TTS audio.
+ */
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+export const SESSION_MESSAGE_VERSION = 1;
+
+export function negotiateProtocol(startMessage = {}) {
+    const requested = Number.isInteger(startMessage.protocol) ? startMessage.protocol : 1;
+    const version = Math.max(MIN_PROTOCOL_VERSION, Math.min(requested, PROTOCOL_VERSION));
+    const binaryAudio = version >= 2 && startMessage.audioFrames === 'binary';
+    
+    return {
+        version,
+        binaryAudio,
+        audioFrames: binaryAudio ? 'binary' : 'json'
+    };
+}
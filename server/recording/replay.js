@@ -0,0 +1,129 @@
+import fs from 'fs';
+import path from 'path';
+import { WebSocket } from 'ws';
+import { TURN_FILE } from './sessionRecorder.js';
+import { toOutputPcm, OUTPUT_SAMPLE_RATE } from '../audio/pcm.js';
+import ChannelTransport from '../channels/transport.js';
+import STTChannel from '../channels/sttChannel.js';
+import UsageLimiter from '../limits/usageLimiter.js';
+import { createProxyMetrics } from '../metrics/proxyMetrics.js';
+import logger from '../logger.js';
+
+// The page streams 100 ms frames
+const FRAME_BYTES = 3200;
+
+/**
+ * Replays recorded turns (see sessionRecorder.js) through STTChannel, the
+ * code path live audio takes, and diffs the transcript, and the answer the
+ * knowledge base picks for it, against what was recorded.
+ *
+ * `createProvider(turn)` returns the STT provider for a turn, wrapped like
+ * the proxy's. Replaying against a mock that returns the recorded transcript
+ * isolates voice activity detection, limits and knowledge base changes; a
+ * real provider shows STT regressions as well.
+ */
+export async function replayTurns(dirs, { config, createProvider, knowledgeBase }) {
+    const metrics = createProxyMetrics();
+    const usageLimiter = new UsageLimiter({ enabled: false, limits: {} });
+    const results = [];
+    
+    for (const dir of dirs) {
+        for (const turnDir of await findTurnDirs(dir)) {
+            const turn = JSON.parse(await fs.promises.readFile(path.join(turnDir, TURN_FILE), 'utf8'));
+            
+            // Cancelled and failed transcriptions have no result to compare with
+            if (!turn.stt?.audio || typeof turn.stt.transcript !== 'string') {
+                results.push({ dir: turnDir, turn, skipped: turn.stt ? 'no recorded transcript' : 'no recorded audio' });
+                continue;
+            }
+            
+            // Any WAV file dropped into the corpus is converted like provider output
+            const pcmData = toOutputPcm(await fs.promises.readFile(path.join(turnDir, turn.stt.audio)), OUTPUT_SAMPLE_RATE);
+            const provider = createProvider(turn);
+            const replayed = await replayUtterance(pcmData, { config, provider, metrics, usageLimiter, options: turn.stt.options });
+            
+            const actual = {
+                ...replayed,
+                answer: replayed.transcript?.trim() ? knowledgeBase.getAnswer(replayed.transcript) : null
+            };
+            const expected = {
+                transcript: turn.stt.transcript,
+                noSpeech: Boolean(turn.stt.noSpeech),
+                // The page only speaks an answer to a non-empty transcript
+                answer: turn.tts ? turn.tts.text : (turn.stt.transcript.trim() ? undefined : null)
+            };
+            
+            results.push({ dir: turnDir, turn, provider: provider.name, expected, actual, changes: diffTurn(expected, actual) });
+        }
+    }
+    
+    return results;
+}
+
+// With the recognition settings (language, model, prompt) the turn was
+// recorded with
+async function replayUtterance(pcmData, { config, provider, metrics, usageLimiter, options }) {
+    const messages = [];
+    const socket = {
+        readyState: WebSocket.OPEN,
+        send: (data) => messages.push(JSON.parse(data))
+    };
+    
+    const channel = new STTChannel({
+        transport: new ChannelTransport(socket),
+        client: { ip: 'replay', sessionId: null },
+        log: logger.child({ service: 'replay' }),
+        provider,
+        config,
+        usageLimiter,
+        metrics
+    });
+    
+    try {
+        await channel.handleMessage({ type: 'start', partials: false, ...options });
+        for (let i = 0; i < pcmData.length; i += FRAME_BYTES) {
+            channel.handleAudio(pcmData.subarray(i, i + FRAME_BYTES));
+        }
+        await channel.handleMessage({ type: 'transcribe' });
+    } finally {
+        channel.close();
+    }
+    
+    const transcript = messages.find(message => message.type === 'transcript');
+    const error = messages.find(message => message.type === 'error');
+    
+    return {
+        transcript: transcript ? transcript.text : null,
+        noSpeech: Boolean(transcript?.noSpeech),
+        error: error ? error.code : null,
+        cutOff: messages.some(message => message.type === 'cutoff')
+    };
+}
+
+// Turn directories under `dir`, which may be the recordings root, one
+// session's directory or a single turn's
+async function findTurnDirs(dir) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    if (entries.some(entry => entry.isFile() && entry.name === TURN_FILE)) {
+        return [dir];
+    }
+    
+    const turnDirs = [];
+    for (const entry of entries.filter(entry => entry.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        turnDirs.push(...await findTurnDirs(path.join(dir, entry.name)));
+    }
+    return turnDirs;
+}
+
+function diffTurn(expected, actual) {
+    const changes = [];
+    
+    for (const field of ['noSpeech', 'transcript', 'answer']) {
+        // A turn the page never answered has nothing to compare the answer with
+        if (expected[field] !== undefined && expected[field] !== actual[field]) {
+            changes.push({ field, expected: expected[field], actual: actual[field] });
+        }
+    }
+    
+    return changes;
+}
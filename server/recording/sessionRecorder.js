@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { createWavFile } from '../audio/wav.js';
+import logger from '../logger.js';
+
+export const TURN_FILE = 'turn.json';
+
+/**
+ * Opt-in capture of every turn (RECORDING_ENABLED), so a bad turn can be
+ * replayed later (`npm run replay`). Each turn gets its own directory:
+ *
+ *   <dir>/<session>/<turnId>/turn.json   { stt: { transcript, timings, ... },
+ *                                          tts: { text, timings, ... } }
+ *                            input.wav   the utterance as received, before VAD
+ *                            output.wav  the synthesized answer
+ *
+ * The STT and TTS channels each save their half of a turn, possibly from
+ * different sockets; writes are serialized so both halves end up in the same
+ * turn.json. A failed write is logged and never fails the turn.
+ */
+class SessionRecorder {
+    constructor({ dir }) {
+        this.dir = dir;
+        this.writes = Promise.resolve();
+        this.turnCount = 0;
+    }
+    
+
+    // One per client connection; the session directory is named after the
+    // token's session ID, else the page's, else the connection's ID
+    openSession({ sessionId, connectionId }) {
+        return new SessionRecording(this, { sessionId, connectionId });
+    }
+    
+
+    save(session, turnId, stage, record, audio) {
+        // Legacy pages send no turn IDs
+        const turnDir = path.join(this.dir, session, turnId || `turn-${Date.now()}-${++this.turnCount}`);
+        
+        this.writes = this.writes
+            .then(async () => {
+                await fs.promises.mkdir(turnDir, { recursive: true });
+                
+                for (const [file, pcm] of Object.entries(audio)) {
+                    await fs.promises.writeFile(path.join(turnDir, file), createWavFile(pcm));
+                }
+                
+                const turnFile = path.join(turnDir, TURN_FILE);
+                const turn = await readTurn(turnFile) || { session, turnId: turnId || null };
+                turn[stage] = { ...record, recordedAt: new Date().toISOString() };
+                await fs.promises.writeFile(turnFile, JSON.stringify(turn, null, 2));
+            })
+            .catch((error) => {
+                logger.warn('Turn recording failed', { session, turnId, stage, error });
+            });
+        
+        return this.writes;
+    }
+    
+
+    // Resolves once every recording so far is on disk
+    flush() {
+        return this.writes;
+    }
+}
+
+class SessionRecording {
+    constructor(recorder, { sessionId, connectionId }) {
+        this.recorder = recorder;
+        this.sessionId = sessionId;
+        this.connectionId = connectionId;
+    }
+    
+
+    // Without authentication, the ID the page sends in `start`
+    useClientSession(sessionId) {
+        if (!this.sessionId && sessionId) {
+            this.sessionId = sessionId;
+        }
+    }
+    
+
+    // `audio` maps file names to 16 kHz LINEAR16, saved as WAV
+    saveTurn(turnId, stage, record, audio = {}) {
+        const session = String(this.sessionId || this.connectionId).replace(/[^\w-]/g, '_');
+        return this.recorder.save(session, turnId, stage, record, audio);
+    }
+}
+
+async function readTurn(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return null;
+    }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,93 @@
+import { UpstreamError, classifyUpstreamError } from '../upstreamError.js';
+
+// A rejected or cancelled request says nothing about the upstream's health
+const HEALTHY_KINDS = new Set(['bad_request', 'cancelled']);
+
+export function isUpstreamFailure(error) {
+    return !HEALTHY_KINDS.has(classifyUpstreamError(error));
+}
+
+/**
+ * Stops calling an upstream that keeps failing. `closed` lets every call
+ * through; after `failureThreshold` consecutive failures it goes `open` and
+ * rejects calls at once for `resetTimeoutMs`; then `half_open` lets a single
+ * trial call through, whose outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+    constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000, onStateChange = null }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.onStateChange = onStateChange;
+        
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+    
+
+    async call(operation) {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.transition('half_open');
+        }
+        
+        if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+            throw new UpstreamError(`${this.name} circuit open after repeated failures`, { kind: 'circuit_open' });
+        }
+        
+        const isTrial = this.state === 'half_open';
+        if (isTrial) {
+            this.trialInFlight = true;
+        }
+        
+        try {
+            const result = await operation();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            this.recordFailure(error);
+            throw error;
+        } finally {
+            if (isTrial) {
+                this.trialInFlight = false;
+            }
+        }
+    }
+    
+
+    recordSuccess() {
+        this.failures = 0;
+        this.transition('closed');
+    }
+    
+
+    recordFailure(error) {
+        if (!isUpstreamFailure(error)) {
+            return;
+        }
+        
+        this.failures++;
+        
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.transition('open');
+        }
+    }
+    
+
+    transition(state) {
+        if (this.state === state) {
+            return;
+        }
+        
+        const previous = this.state;
+        this.state = state;
+        
+        if (this.onStateChange) {
+            this.onStateChange(state, previous);
+        }
+    }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+import CircuitBreaker, { isUpstreamFailure } from './circuitBreaker.js';
+import { withRetry } from './retry.js';
+import { upstreamErrorMessage } from '../upstreamError.js';
+
+/**
+ * Puts retries and a circuit breaker in front of each STT or TTS provider
+ * and tries them in order, so a primary outage falls through to the next
+ * provider in the chain. Same interface as the providers it wraps; a
+ * provider with a `cached(input, options)` lookup (CachingTTSProvider) is
+ * asked first, so its cache keeps answering while its circuit is open.
+ *
+ * Events:
+ *   retry     { provider, attempt, delayMs, error }
+ *   failover  { from, to, error }
+ *   circuit   { provider, state, previous }
+ *   degraded  { degraded, provider, reason, error }  the primary started or stopped failing;
+ *             `reason` is safe to show clients, `error` is the primary's failure
+ */
+class FailoverProvider extends EventEmitter {
+    constructor({ providers, retry = {}, circuitBreaker = {} }) {
+        super();
+        // Every open client channel listens for `degraded`
+        this.setMaxListeners(0);
+        
+        this.retry = retry;
+        this.primary = providers[0];
+        this.name = this.primary.name;
+        this.degraded = false;
+        
+        this.upstreams = providers.map(provider => ({
+            provider,
+            breaker: new CircuitBreaker({
+                ...circuitBreaker,
+                name: provider.name,
+                onStateChange: (state, previous) => {
+                    this.emit('circuit', { provider: provider.name, state, previous });
+                }
+            })
+        }));
+    }
+    
+
+    // Reported in the runtime config as the primary's settings
+    get model() {
+        return this.primary.model;
+    }
+    
+
+    get language() {
+        return this.primary.language;
+    }
+    
+
+    get voice() {
+        return this.primary.voice;
+    }
+    
+
+    get languageCode() {
+        return this.primary.languageCode;
+    }
+    
+
+    get speakingRate() {
+        return this.primary.speakingRate;
+    }
+    
+
+    get pitch() {
+        return this.primary.pitch;
+    }
+    
+
+    transcribe(pcmData, options = {}) {
+        return this.invoke('transcribe', pcmData, options);
+    }
+    
+
+    synthesize(text, options = {}) {
+        return this.invoke('synthesize', text, options);
+    }
+    
+
+    async invoke(method, input, options) {
+        let primaryError = null;
+        let lastError = null;
+        
+        for (let i = 0; i < this.upstreams.length; i++) {
+            const { provider, breaker } = this.upstreams[i];
+            const providerOptions = this.optionsFor(provider, options);
+            
+            // Cached audio needs neither the breaker nor a retry
+            const cached = await provider.cached?.(input, providerOptions);
+            if (cached) {
+                return cached;
+            }
+            
+            try {
+                const result = await withRetry(() => breaker.call(() => provider[method](input, providerOptions)), {
+                    ...this.retry,
+                    // A partial hypothesis is superseded within a second anyway
+                    retries: options.partial ? 0 : this.retry.retries,
+                    signal: options.signal,
+                    onRetry: (error, attempt, delayMs) => {
+                        this.emit('retry', { provider: provider.name, attempt, delayMs, error });
+                    }
+                });
+                
+                this.updateDegraded(primaryError, provider);
+                return result;
+            } catch (error) {
+                // Bad input fails the same way everywhere
+                if (options.signal?.aborted || !isUpstreamFailure(error)) {
+                    throw error;
+                }
+                
+                if (i === 0) {
+                    primaryError = error;
+                }
+                lastError = error;
+                
+                const next = this.upstreams[i + 1];
+                if (next) {
+                    this.emit('failover', { from: provider.name, to: next.provider.name, error });
+                }
+            }
+        }
+        
+        this.updateDegraded(primaryError, null);
+        throw lastError;
+    }
+    
+
+    // A requested voice or model is one of the primary's; a fallback of
+    // another kind keeps its own but still takes the other settings
+    optionsFor(provider, options) {
+        if ((!options.voice?.name && !options.model) || provider.name === this.primary.name) {
+            return options;
+        }
+        
+        const { model, ...rest } = options;
+        return options.voice ? { ...rest, voice: { ...options.voice, name: undefined } } : rest;
+    }
+    
+
+    // Degraded means the primary is unhealthy, whether or not a fallback
+    // managed to serve the request
+    updateDegraded(primaryError, servedBy) {
+        const degraded = primaryError !== null;
+        if (degraded === this.degraded) {
+            return;
+        }
+        
+        this.degraded = degraded;
+        this.emit('degraded', {
+            degraded,
+            provider: servedBy ? servedBy.name : null,
+            reason: degraded ? upstreamErrorMessage(primaryError).message : null,
+            error: primaryError
+        });
+    }
+    
+
+    // Ready while any provider in the chain is
+    async checkReady(options) {
+        const failures = [];
+        
+        for (const { provider } of this.upstreams) {
+            try {
+                const detail = await provider.checkReady(options);
+                return failures.length === 0 ? detail : `${provider.name}: ${detail} (degraded; ${failures.join('; ')})`;
+            } catch (error) {
+                failures.push(`${provider.name}: ${error.message}`);
+            }
+        }
+        
+        throw new Error(failures.join('; '));
+    }
+    
+
+    getStatus() {
+        return {
+            degraded: this.degraded,
+            upstreams: this.upstreams.map(({ provider, breaker }) => ({
+                provider: provider.name,
+                circuit: breaker.state
+            }))
+        };
+    }
+}
+
+export default FailoverProvider;
@@ -0,0 +1,34 @@
+import { setTimeout as delay } from 'timers/promises';
+import { classifyUpstreamError } from '../upstreamError.js';
+
+// Transient failures where the same request may well succeed a moment later
+const RETRYABLE_KINDS = new Set(['timeout', 'network', 'server_error']);
+
+export function isRetryable(error) {
+    return RETRYABLE_KINDS.has(classifyUpstreamError(error));
+}
+
+/**
+ * Runs `operation` until it succeeds, fails with a non-transient error or
+ * `retries` extra attempts are used up. Only for idempotent calls. Waits use
+ * full jitter (a random delay up to `baseDelayMs * 2^attempt`, capped at
+ * `maxDelayMs`) so clients that failed together do not retry together.
+ */
+export async function withRetry(operation, { retries = 1, baseDelayMs = 200, maxDelayMs = 2000, signal, onRetry = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error) || signal?.aborted) {
+                throw error;
+            }
+            
+            const delayMs = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+            if (onRetry) {
+                onRetry(error, attempt + 1, delayMs);
+            }
+            
+            await delay(delayMs, undefined, { signal });
+        }
+    }
+}
@@ -0,0 +1,54 @@
+import { getRequestOrigin } from './http/clientAddress.js';
+import { allowedModels } from './stt/transcriptionOptions.js';
+import { allowedVoices } from './tts/speechOptions.js';
+
+/**
+ * Builds the client configuration served at `/config`. Only settings the
+ * deployment actually overrides are included; the client keeps its own
+ * defaults for everything else.
+ */
+export function buildRuntimeConfig({ config, req, sttProvider, ttsProvider }) {
+    const runtimeConfig = {
+        websocket: {
+            url: config.server.publicWsUrl || deriveWebSocketURL(req, config.server.trustProxy)
+        },
+        providers: {
+            stt: pickDefined({
+                provider: sttProvider.name,
+                model: sttProvider.model,
+                language: sttProvider.language,
+                models: allowedModels(sttProvider.model, config.stt.models)
+            }),
+            tts: pickDefined({
+                provider: ttsProvider.name,
+                voice: ttsProvider.voice,
+                languageCode: ttsProvider.languageCode,
+                speakingRate: ttsProvider.speakingRate,
+                pitch: ttsProvider.pitch,
+                voices: allowedVoices(ttsProvider.voice, config.tts.voices)
+            })
+        }
+    };
+    
+    for (const [section, settings] of Object.entries(config.client)) {
+        const overrides = pickDefined(settings);
+        
+        if (Object.keys(overrides).length > 0) {
+            runtimeConfig[section] = overrides;
+        }
+    }
+    
+    return runtimeConfig;
+}
+
+// Honour TLS terminators and reverse proxies in front of the proxy, when
+// TRUST_PROXY says their forwarded headers can be believed
+function deriveWebSocketURL(req, trustProxy) {
+    const origin = getRequestOrigin(req, trustProxy);
+    
+    return origin && origin.replace(/^http/, 'ws');
+}
+
+function pickDefined(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== ''));
+}
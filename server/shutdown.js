@@ -0,0 +1,102 @@
+import { setTimeout as delay } from 'timers/promises';
+import logger from './logger.js';
+
+const POLL_INTERVAL_MS = 100;
+const CLOSE_GRACE_MS = 1000;
+const GOING_AWAY = 1001;
+
+/**
+ * Drains client sockets on shutdown. Every socket is told the proxy is going
+ * away (`server_shutdown`, with a jittered `reconnectAfterMs` so a rolling
+ * restart does not bring every page back at once), is closed as soon as no
+ * turn is in progress on it, and is closed regardless at the deadline, which
+ * aborts whatever upstream request it still has open. Sockets that do not
+ * complete the close handshake are terminated shortly after.
+ *
+ * A connection is { ws, transport, isBusy() }.
+ */
+class ConnectionDrainer {
+    constructor({ timeoutMs, reconnectDelayMs }) {
+        this.timeoutMs = timeoutMs;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.connections = new Set();
+        this.closing = new Set();
+        this.draining = false;
+    }
+    
+
+    get size() {
+        return this.connections.size;
+    }
+    
+
+    add(connection) {
+        this.connections.add(connection);
+        connection.ws.on('close', () => {
+            this.connections.delete(connection);
+            this.closing.delete(connection);
+        });
+        
+        if (this.draining) {
+            this.notify(connection);
+        }
+    }
+    
+
+    notify(connection) {
+        connection.transport.send({
+            type: 'server_shutdown',
+            message: 'The server is restarting',
+            reconnectAfterMs: this.reconnectDelayMs + Math.floor(Math.random() * this.reconnectDelayMs)
+        });
+    }
+    
+
+    async drain() {
+        this.draining = true;
+        const deadline = Date.now() + this.timeoutMs;
+        const total = this.connections.size;
+        
+        for (const connection of this.connections) {
+            this.notify(connection);
+        }
+        
+        while (this.connections.size > this.closing.size && Date.now() < deadline) {
+            for (const connection of this.connections) {
+                if (!this.closing.has(connection) && !connection.isBusy()) {
+                    this.close(connection);
+                }
+            }
+            await delay(POLL_INTERVAL_MS);
+        }
+        
+        let interrupted = 0;
+        for (const connection of this.connections) {
+            if (!this.closing.has(connection)) {
+                interrupted++;
+                this.close(connection);
+            }
+        }
+        if (interrupted > 0) {
+            logger.warn('Closed busy connections at the shutdown deadline', { connections: interrupted, timeoutMs: this.timeoutMs });
+        }
+        
+        const graceDeadline = Date.now() + CLOSE_GRACE_MS;
+        while (this.closing.size > 0 && Date.now() < graceDeadline) {
+            await delay(POLL_INTERVAL_MS);
+        }
+        for (const connection of this.closing) {
+            connection.ws.terminate();
+        }
+        
+        return { connections: total, interrupted };
+    }
+    
+
+    close(connection) {
+        this.closing.add(connection);
+        connection.ws.close(GOING_AWAY, 'Server shutting down');
+    }
+}
+
+export default ConnectionDrainer;
@@ -0,0 +1,22 @@
+import OpenAICompatibleSTTProvider from './openAICompatibleProvider.js';
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+
+class GroqSTTProvider extends OpenAICompatibleSTTProvider {
+    constructor(options = {}) {
+        if (!options.apiKey) {
+            throw new Error('Groq STT provider requires GROQ_API_KEY');
+        }
+        
+        super({
+            ...options,
+            name: 'groq',
+            model: options.model || 'whisper-large-v3-turbo',
+            // Groq takes FLAC; it roughly halves the upload
+            uploadFormat: options.uploadFormat || 'flac',
+            baseUrl: options.baseUrl || GROQ_BASE_URL
+        });
+    }
+}
+
+export default GroqSTTProvider;
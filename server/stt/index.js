@@ -0,0 +1,19 @@
+import OpenAICompatibleSTTProvider from './openAICompatibleProvider.js';
+import GroqSTTProvider from './groqProvider.js';
+import MockSTTProvider from './mockProvider.js';
+
+const STT_PROVIDERS = {
+    groq: GroqSTTProvider,
+    openai: OpenAICompatibleSTTProvider,
+    mock: MockSTTProvider
+};
+
+export function createSTTProvider(name, options = {}) {
+    const Provider = STT_PROVIDERS[name];
+    
+    if (!Provider) {
+        throw new Error(`Unknown STT provider "${name}" (expected one of: ${Object.keys(STT_PROVIDERS).join(', ')})`);
+    }
+    
+    return new Provider(options);
+}
@@ -0,0 +1,44 @@
+/**
+ * Deterministic stand-in for a real STT backend. Scripted transcripts are
+ * returned in order (cycling), so a whole pipeline run is reproducible.
+ * Results carry no segments or words.
+ */
+class MockSTTProvider {
+    constructor({ transcripts = ['what is qplus'], delayMs = 0 } = {}) {
+        this.name = 'mock';
+        this.transcripts = transcripts.length > 0 ? transcripts : [''];
+        this.delayMs = delayMs;
+        this.callCount = 0;
+    }
+    
+
+    async transcribe(pcmData, options = {}) {
+        if (this.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        }
+        options.signal?.throwIfAborted();
+        
+        if (!pcmData || pcmData.length === 0) {
+            return { text: '', segments: null, words: null };
+        }
+        
+        const transcript = this.transcripts[this.callCount % this.transcripts.length];
+        
+        // Partials reveal the upcoming transcript one word per second of audio
+        // without consuming it, so the final result stays in script order
+        if (options.partial) {
+            const seconds = pcmData.length / 32000;
+            return { text: transcript.split(' ').slice(0, Math.ceil(seconds)).join(' '), segments: null, words: null };
+        }
+        
+        this.callCount++;
+        return { text: transcript, segments: null, words: null };
+    }
+    
+
+    async checkReady() {
+        return `${this.transcripts.length} scripted transcripts`;
+    }
+}
+
+export default MockSTTProvider;
@@ -0,0 +1,191 @@
+import http from 'http';
+import https from 'https';
+import FormData from 'form-data';
+import { performance } from 'perf_hooks';
+import { createWavFile } from '../audio/wav.js';
+import { encodeFlac } from '../audio/flac.js';
+import { UpstreamError } from '../upstreamError.js';
+import { probeEndpoint } from '../http/probe.js';
+
+const UPLOAD_FORMATS = {
+    wav: { encode: createWavFile, filename: 'audio.wav', contentType: 'audio/wav' },
+    flac: { encode: encodeFlac, filename: 'audio.flac', contentType: 'audio/flac' }
+};
+
+const RESPONSE_FORMATS = ['json', 'verbose_json'];
+
+/**
+ * Speech-to-text adapter for any endpoint that implements the OpenAI
+ * `/audio/transcriptions` API (Groq, OpenAI, a local whisper.cpp server...).
+ * Audio is uploaded as WAV, or as lossless FLAC where the endpoint accepts
+ * it; `onUpload` is told the size and encoding time of every upload.
+ *
+ * Transcriptions resolve to { text, segments, words }. With the
+ * `verbose_json` response format, final transcripts carry segments
+ * { start, end, text, confidence, noSpeechProb } and words
+ * { word, start, end, confidence } (times in seconds); otherwise, and for
+ * partials, both are null.
+ */
+class OpenAICompatibleSTTProvider {
+    constructor({
+        name = 'openai',
+        baseUrl,
+        apiKey = '',
+        model = 'whisper-1',
+        language = 'en',
+        temperature = 0,
+        timeoutMs = 5000,
+        uploadFormat = 'wav',
+        responseFormat = 'json',
+        onUpload = null
+    }) {
+        if (!baseUrl) {
+            throw new Error(`STT provider "${name}" requires a base URL`);
+        }
+        if (!UPLOAD_FORMATS[uploadFormat]) {
+            throw new Error(`Unknown STT upload format "${uploadFormat}" (expected one of: ${Object.keys(UPLOAD_FORMATS).join(', ')})`);
+        }
+        if (!RESPONSE_FORMATS.includes(responseFormat)) {
+            throw new Error(`Unknown STT response format "${responseFormat}" (expected one of: ${RESPONSE_FORMATS.join(', ')})`);
+        }
+        
+        this.name = name;
+        this.baseUrl = new URL(baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.language = language;
+        this.temperature = temperature;
+        this.timeoutMs = timeoutMs;
+        this.uploadFormat = uploadFormat;
+        this.responseFormat = responseFormat;
+        this.onUpload = onUpload;
+    }
+    
+
+    // `signal` aborts the upstream request (the client cancelled the turn).
+    // `language`, `model` and `prompt` override the configured settings.
+    async transcribe(pcmData, { signal, partial = false, language = this.language, model = this.model, prompt = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const form = new FormData();
+            
+            const format = UPLOAD_FORMATS[this.uploadFormat];
+            const encodeStart = performance.now();
+            const audioFile = format.encode(pcmData);
+            
+            if (this.onUpload) {
+                this.onUpload({
+                    provider: this.name,
+                    format: this.uploadFormat,
+                    pcmBytes: pcmData.length,
+                    uploadBytes: audioFile.length,
+                    encodeMs: performance.now() - encodeStart,
+                    partial
+                });
+            }
+            
+            form.append('file', audioFile, {
+                filename: format.filename,
+                contentType: format.contentType
+            });
+            form.append('model', model);
+            if (language) {
+                form.append('language', language);
+            }
+            if (prompt) {
+                form.append('prompt', prompt);
+            }
+            // Partials are superseded too quickly to be worth the details
+            const verbose = this.responseFormat === 'verbose_json' && !partial;
+            form.append('response_format', verbose ? 'verbose_json' : 'json');
+            if (verbose) {
+                form.append('timestamp_granularities[]', 'segment');
+                form.append('timestamp_granularities[]', 'word');
+            }
+            form.append('temperature', String(this.temperature));
+            
+            const url = new URL('audio/transcriptions', this.baseUrl);
+            const transport = url.protocol === 'https:' ? https : http;
+            
+            const headers = form.getHeaders();
+            if (this.apiKey) {
+                headers['Authorization'] = `Bearer ${this.apiKey}`;
+            }
+            
+            const req = transport.request(url, { method: 'POST', headers, signal }, (res) => {
+                let data = '';
+                
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                
+                res.on('end', () => {
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        reject(UpstreamError.fromStatus(`${this.name} API error ${res.statusCode}: ${data.slice(0, 200)}`, res.statusCode));
+                        return;
+                    }
+                    
+                    try {
+                        const result = JSON.parse(data);
+                        resolve(verbose ? parseVerboseResult(result) : { text: result.text || '', segments: null, words: null });
+                    } catch (error) {
+                        reject(new UpstreamError(`Failed to parse ${this.name} response`, { kind: 'bad_response' }));
+                    }
+                });
+            });
+            
+            req.on('error', (error) => {
+                reject(error);
+            });
+            
+            req.setTimeout(this.timeoutMs, () => {
+                req.destroy();
+                reject(new UpstreamError(`${this.name} API timeout`, { kind: 'timeout' }));
+            });
+            
+            form.pipe(req);
+        });
+    }
+    
+
+    // Lists models, which needs a valid key on hosted APIs
+    async checkReady({ timeoutMs = 3000 } = {}) {
+        const { statusCode } = await probeEndpoint(new URL('models', this.baseUrl), {
+            name: this.name,
+            apiKey: this.apiKey,
+            timeoutMs
+        });
+        return `${this.baseUrl.host} answered HTTP ${statusCode}`;
+    }
+}
+
+// Segment confidence is the probability of its average token, as Whisper
+// reports it; words take their own probability where the server gives one
+// and their segment's otherwise
+function parseVerboseResult(result) {
+    const segments = (result.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text.trim(),
+        confidence: round(Math.exp(segment.avg_logprob)),
+        noSpeechProb: round(segment.no_speech_prob)
+    }));
+    
+    const words = (result.words || []).map((word) => {
+        const segment = segments.find(candidate => word.start >= candidate.start && word.start < candidate.end);
+        
+        return {
+            word: word.word.trim(),
+            start: word.start,
+            end: word.end,
+            confidence: word.probability !== undefined ? round(word.probability) : (segment?.confidence ?? null)
+        };
+    });
+    
+    return { text: result.text || '', segments, words };
+}
+
+function round(value) {
+    return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null;
+}
+
+export default OpenAICompatibleSTTProvider;
@@ -0,0 +1,146 @@
+import logger from '../logger.js';
+
+/**
+ * Re-transcribes the growing utterance buffer while the user is still
+ * speaking and reports partial hypotheses. Words that two consecutive
+ * hypotheses agree on are reported as `stable`; the remainder is `unstable`
+ * and may still change.
+ *
+ * Every upload is offered to `allowUpload(audio)` first; once it declines,
+ * no more partials are sent until the next `reset()`.
+ */
+class PartialTranscriber {
+    constructor({ provider, getAudio, onPartial, allowUpload = () => true, intervalMs = 500, minAudioBytes = 16000, options = null, log = logger }) {
+        this.provider = provider;
+        // The turn's recognition settings, as the final transcript uses them
+        this.options = options;
+        this.getAudio = getAudio;
+        this.onPartial = onPartial;
+        this.allowUpload = allowUpload;
+        this.intervalMs = intervalMs;
+        this.minAudioBytes = minAudioBytes;
+        this.log = log;
+        
+        this.timer = null;
+        this.inFlight = false;
+        this.declined = false;
+        this.controller = null;
+        this.lastAudioBytes = 0;
+        this.previousWords = [];
+        this.stableWords = [];
+        this.lastText = '';
+    }
+    
+
+    start() {
+        if (this.timer || this.declined) {
+            return;
+        }
+        
+        this.timer = setInterval(() => this.tick(), this.intervalMs);
+    }
+    
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        
+        // A hypothesis for audio nobody is waiting on only costs upstream quota
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+    
+
+    reset() {
+        this.stop();
+        this.declined = false;
+        this.lastAudioBytes = 0;
+        this.previousWords = [];
+        this.stableWords = [];
+        this.lastText = '';
+    }
+    
+
+    async tick() {
+        if (this.inFlight) {
+            return;
+        }
+        
+        const audio = this.getAudio();
+        if (audio.length < this.minAudioBytes || audio.length === this.lastAudioBytes) {
+            return;
+        }
+        
+        if (!this.allowUpload(audio)) {
+            this.declined = true;
+            this.stop();
+            return;
+        }
+        
+        this.inFlight = true;
+        this.lastAudioBytes = audio.length;
+        const controller = new AbortController();
+        this.controller = controller;
+        
+        try {
+            const text = (await this.provider.transcribe(audio, { ...this.options, partial: true, signal: controller.signal })).text.trim();
+            
+            // Ignore results that land after the final transcription was requested
+            if (!this.timer || !text || text === this.lastText) {
+                return;
+            }
+            
+            this.lastText = text;
+            this.onPartial(this.segment(text));
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                this.log.warn('Partial transcription failed', { error });
+            }
+        } finally {
+            this.inFlight = false;
+            if (this.controller === controller) {
+                this.controller = null;
+            }
+        }
+    }
+    
+
+    segment(text) {
+        const words = text.split(/\s+/);
+        
+        let agreed = 0;
+        while (
+            agreed < words.length &&
+            agreed < this.previousWords.length &&
+            normalizeWord(words[agreed]) === normalizeWord(this.previousWords[agreed])
+        ) {
+            agreed++;
+        }
+        
+        // Stable text only grows; a later hypothesis cannot retract it
+        if (agreed > this.stableWords.length) {
+            this.stableWords = words.slice(0, agreed);
+        }
+        
+        this.previousWords = words;
+        
+        const stable = this.stableWords.join(' ');
+        const unstable = words.slice(this.stableWords.length).join(' ');
+        
+        return {
+            text: [stable, unstable].filter(Boolean).join(' '),
+            stable,
+            unstable
+        };
+    }
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/[.,!?;:'"]/g, '');
+}
+
+export default PartialTranscriber;
@@ -0,0 +1,71 @@
+// Whisper only reads the last 224 tokens of a prompt, about this many characters
+const MAX_PROMPT_CHARS = 800;
+const MAX_TERM_CHARS = 64;
+
+const LANGUAGE = /^[a-z]{2,3}$/;
+
+/**
+ * Models a `start` or `transcribe` request may pick: the provider's default
+ * plus the deployment's STT_MODELS allowlist.
+ */
+export function allowedModels(defaultModel, models = []) {
+    return [...new Set([defaultModel, ...models].filter(Boolean))];
+}
+
+/**
+ * Checks the optional `language`, `model`, `prompt` and `vocabulary` of a
+ * `start` or `transcribe` request. Vocabulary terms are appended to the
+ * prompt, which is how Whisper-style APIs take spelling hints; terms that
+ * do not fit in MAX_PROMPT_CHARS are dropped. Returns { ok: true, options }
+ * with only the settings the request gives (null for none), or
+ * { ok: false, message }.
+ */
+export function parseTranscriptionOptions({ language, model, prompt, vocabulary }, { models }) {
+    const options = {};
+    
+    if (language !== undefined && language !== null) {
+        if (!LANGUAGE.test(language)) {
+            return { ok: false, message: `Language "${language}" must be a language code such as "en"` };
+        }
+        options.language = language;
+    }
+    
+    if (model !== undefined && model !== null) {
+        if (!models.includes(model)) {
+            return { ok: false, message: `Model "${model}" is not available (expected one of: ${models.join(', ')})` };
+        }
+        options.model = model;
+    }
+    
+    if (prompt !== undefined && prompt !== null && prompt.length > MAX_PROMPT_CHARS) {
+        return { ok: false, message: `Prompt must be at most ${MAX_PROMPT_CHARS} characters` };
+    }
+    
+    if (vocabulary !== undefined && vocabulary !== null &&
+        !vocabulary.every(term => typeof term === 'string' && term.length <= MAX_TERM_CHARS)) {
+        return { ok: false, message: `Vocabulary must be a list of terms of at most ${MAX_TERM_CHARS} characters` };
+    }
+    
+    const text = withVocabulary(prompt?.trim() || '', vocabulary || []);
+    if (text) {
+        options.prompt = text;
+    }
+    
+    return { ok: true, options: Object.keys(options).length > 0 ? options : null };
+}
+
+function withVocabulary(prompt, vocabulary) {
+    const terms = [];
+    let length = prompt.length;
+    
+    for (const term of new Set(vocabulary.map(term => term.trim()).filter(Boolean))) {
+        // Counting the ", " separator
+        length += term.length + 2;
+        if (length > MAX_PROMPT_CHARS) {
+            break;
+        }
+        terms.push(term);
+    }
+    
+    return [prompt, terms.join(', ')].filter(Boolean).join(' ');
+}
@@ -0,0 +1,151 @@
+import TTSCache from './ttsCache.js';
+import logger from '../logger.js';
+
+/**
+ * Wraps a TTS provider with a TTSCache. Same interface as the providers, so
+ * the sentence pipeline and chunk streaming treat hits and misses alike.
+ * FailoverProvider looks up `cached()` before it calls `synthesize()`.
+ */
+class CachingTTSProvider {
+    constructor(provider, cache) {
+        this.provider = provider;
+        this.cache = cache;
+        this.name = provider.name;
+        this.inFlight = new Map();
+    }
+    
+
+    // Reported in the runtime config as if the provider were unwrapped
+    get model() {
+        return this.provider.model;
+    }
+    
+
+    get voice() {
+        return this.provider.voice;
+    }
+    
+
+    get languageCode() {
+        return this.provider.languageCode;
+    }
+    
+
+    get speakingRate() {
+        return this.provider.speakingRate;
+    }
+    
+
+    get pitch() {
+        return this.provider.pitch;
+    }
+    
+
+    // With a request's `voice` overrides applied
+    voiceSettings(voice = null) {
+        return {
+            provider: this.provider.name,
+            model: this.model,
+            voice: voice?.name ?? this.voice,
+            languageCode: this.languageCode,
+            speakingRate: voice?.speakingRate ?? this.speakingRate ?? this.provider.speed,
+            pitch: voice?.pitch ?? this.pitch
+        };
+    }
+    
+
+    // Plain-text requests with the default voice keep the keys they had
+    // before per-request options, so existing disk caches stay valid
+    cacheKey(text, { ssml = false, voice = null } = {}) {
+        return TTSCache.key(text, ssml ? { ...this.voiceSettings(voice), ssml } : this.voiceSettings(voice));
+    }
+    
+
+    checkReady(options) {
+        return this.provider.checkReady(options);
+    }
+    
+
+    // Answered outside the provider's circuit breaker and retries: cached
+    // audio is still served while the provider is down, and a hit says
+    // nothing about its health
+    cached(text, options = {}) {
+        return this.cache.get(this.cacheKey(text, options));
+    }
+    
+
+    // A cache miss. An aborted caller stops waiting, but the shared upstream
+    // call carries on and still fills the cache for the next request.
+    synthesize(text, { signal, ...options } = {}) {
+        return untilAborted(this.fetch(this.cacheKey(text, options), text, options), signal);
+    }
+    
+
+    // Concurrent requests for the same text share one upstream call
+    fetch(key, text, options = {}) {
+        if (!this.inFlight.has(key)) {
+            const request = this.provider.synthesize(text, options)
+                .then(async (audio) => {
+                    await this.cache.set(key, audio);
+                    return audio;
+                })
+                .finally(() => {
+                    this.inFlight.delete(key);
+                });
+            this.inFlight.set(key, request);
+        }
+        
+        return this.inFlight.get(key);
+    }
+    
+
+    // Synthesizes every segment of every text that is not cached yet.
+    // SSML documents come as { ssml }; `segment(text, { ssml })` splits
+    // either kind the way live requests are split.
+    async prewarm(texts, segment = text => [text]) {
+        const result = { texts: texts.length, segments: 0, synthesized: 0, cached: 0, failed: 0 };
+        
+        for (const text of texts) {
+            const ssml = typeof text === 'object';
+            
+            for (const part of segment(ssml ? text.ssml : text, { ssml })) {
+                result.segments++;
+                const key = this.cacheKey(part, { ssml });
+                
+                if (await this.cache.has(key)) {
+                    result.cached++;
+                    continue;
+                }
+                
+                try {
+                    await this.fetch(key, part, { ssml });
+                    result.synthesized++;
+                } catch (error) {
+                    result.failed++;
+                    logger.warn('TTS pre-warm failed', { text: part.slice(0, 40), error });
+                }
+            }
+        }
+        
+        return result;
+    }
+}
+
+export function untilAborted(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    
+    signal.throwIfAborted();
+    
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        
+        promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener('abort', onAbort);
+        });
+    });
+}
+
+export default CachingTTSProvider;
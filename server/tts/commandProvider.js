@@ -0,0 +1,111 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { toOutputPcm } from '../audio/pcm.js';
+import { UpstreamError } from '../upstreamError.js';
+import { ssmlToText } from './speechOptions.js';
+
+/**
+ * Offline text-to-speech through a local engine such as espeak-ng or Piper.
+ * The command must write 16-bit mono PCM (raw at `sampleRate`, or WAV) to
+ * stdout. Text is only ever written to stdin: in the argument list, text
+ * starting with `-` would be read as one of the engine's options.
+ *
+ *   espeak-ng:  TTS_COMMAND=espeak-ng  TTS_COMMAND_ARGS=--stdout --stdin
+ *   Piper:      TTS_COMMAND=piper      TTS_COMMAND_ARGS=--model en_US-lessac-medium.onnx --output-raw
+ */
+class CommandTTSProvider {
+    constructor({ command, args = [], sampleRate = 22050, timeoutMs = 10000 } = {}) {
+        if (!command) {
+            throw new Error('Command TTS provider requires TTS_COMMAND');
+        }
+        if (args.some(arg => arg.includes('{text}'))) {
+            throw new Error('TTS_COMMAND_ARGS must not contain {text}: the command reads the text from stdin');
+        }
+        
+        this.name = 'command';
+        this.command = command;
+        this.args = args;
+        this.sampleRate = sampleRate;
+        this.timeoutMs = timeoutMs;
+    }
+    
+
+    // The engine's voice is set in TTS_COMMAND_ARGS, so per-request voice
+    // settings do not apply
+    async synthesize(text, { signal, ssml = false } = {}) {
+        const input = ssml ? ssmlToText(text) : text;
+        
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, this.args, { stdio: ['pipe', 'pipe', 'pipe'], signal, killSignal: 'SIGKILL' });
+            const chunks = [];
+            let stderr = '';
+            
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new UpstreamError(`${this.command} timed out after ${this.timeoutMs}ms`, { kind: 'timeout' }));
+            }, this.timeoutMs);
+            
+            child.stdout.on('data', (chunk) => {
+                chunks.push(chunk);
+            });
+            
+            child.stderr.on('data', (chunk) => {
+                stderr += chunk;
+            });
+            
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                if (error.name === 'AbortError') {
+                    reject(error);
+                    return;
+                }
+                reject(new UpstreamError(`Failed to run ${this.command}: ${error.message}`, { kind: 'process' }));
+            });
+            
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                
+                if (code !== 0) {
+                    reject(new UpstreamError(`${this.command} exited with code ${code}: ${stderr.trim().slice(0, 200)}`, { kind: 'process' }));
+                    return;
+                }
+                
+                try {
+                    resolve(toOutputPcm(Buffer.concat(chunks), this.sampleRate));
+                } catch (error) {
+                    reject(new UpstreamError(error.message, { kind: 'bad_response' }));
+                }
+            });
+            
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        });
+    }
+    
+
+    async checkReady() {
+        const executable = findExecutable(this.command);
+        if (!executable) {
+            throw new UpstreamError(`${this.command} not found or not executable`, { kind: 'process' });
+        }
+        return executable;
+    }
+}
+
+function findExecutable(command) {
+    const candidates = command.includes('/')
+        ? [path.resolve(command)]
+        : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+    
+    return candidates.find((candidate) => {
+        try {
+            fs.accessSync(candidate, fs.constants.X_OK);
+            return fs.statSync(candidate).isFile();
+        } catch (error) {
+            return false;
+        }
+    }) || null;
+}
+
+export default CommandTTSProvider;
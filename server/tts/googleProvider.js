@@ -0,0 +1,117 @@
+import textToSpeech from '@google-cloud/text-to-speech';
+import { OUTPUT_SAMPLE_RATE, toOutputPcm } from '../audio/pcm.js';
+import { untilAborted } from './cachingProvider.js';
+import { UpstreamError } from '../upstreamError.js';
+
+// For endpoints that take no credentials, such as the bundled mock server
+const ANONYMOUS_AUTH = {
+    getRequestHeaders: async () => new Headers(),
+    fetch: (url, init) => fetch(url, init)
+};
+
+/**
+ * Google Cloud Text-to-Speech over gRPC. With a `baseUrl` (TTS_BASE_URL) the
+ * client talks HTTP/JSON to that host instead. Google itself is only served
+ * over HTTPS, so a plain-HTTP base URL is taken for a local stand-in (the
+ * mock server from `npm run mock-upstreams`) and called without credentials.
+ */
+class GoogleTTSProvider {
+    constructor({
+        credentialsPath,
+        baseUrl = null,
+        voice = 'en-US-Standard-F',
+        languageCode = 'en-US',
+        ssmlGender = 'FEMALE',
+        speakingRate = 1.15,
+        pitch = 0.0,
+        timeoutMs = 10000
+    } = {}) {
+        const local = Boolean(baseUrl) && new URL(baseUrl).protocol === 'http:';
+        if (!credentialsPath && !local) {
+            throw new Error('Google TTS provider requires GOOGLE_APPLICATION_CREDENTIALS');
+        }
+        
+        this.name = 'google';
+        this.voice = voice;
+        this.languageCode = languageCode;
+        this.ssmlGender = ssmlGender;
+        this.speakingRate = speakingRate;
+        this.pitch = pitch;
+        this.timeoutMs = timeoutMs;
+        
+        const auth = local ? { authClient: ANONYMOUS_AUTH } : { keyFilename: credentialsPath };
+        this.client = new textToSpeech.TextToSpeechClient(baseUrl ? { ...auth, ...restEndpoint(baseUrl) } : auth);
+    }
+    
+
+    // `voice` overrides the configured name, speaking rate and pitch for
+    // one request; with `ssml` the text is an SSML document
+    async synthesize(text, { signal, ssml = false, voice = null } = {}) {
+        signal?.throwIfAborted();
+        
+        const request = {
+            input: ssml ? { ssml: text } : { text: text },
+            voice: voice?.name
+                ? { languageCode: languageOf(voice.name), name: voice.name }
+                : { languageCode: this.languageCode, name: this.voice, ssmlGender: this.ssmlGender },
+            audioConfig: {
+                audioEncoding: 'LINEAR16',
+                sampleRateHertz: OUTPUT_SAMPLE_RATE,
+                speakingRate: voice?.speakingRate ?? this.speakingRate,
+                pitch: voice?.pitch ?? this.pitch
+            }
+        };
+        
+        // The client library's promise cannot cancel the call; a cancelled
+        // turn stops waiting for it and the call runs out on its own. Its
+        // own retries are off: UPSTREAM_RETRIES and the circuit breaker
+        // decide, and a retried 503 would otherwise surface as a timeout.
+        const call = this.client.synthesizeSpeech(request, { timeout: this.timeoutMs, retry: null });
+        const [response] = await untilAborted(withDeadline(call, this.timeoutMs), signal);
+        
+        // LINEAR16 responses carry a WAV header, which would play as a click
+        return toOutputPcm(Buffer.from(response.audioContent), OUTPUT_SAMPLE_RATE);
+    }
+    
+
+    // Listing voices authenticates with the service account without
+    // synthesizing (and paying for) any audio
+    async checkReady({ timeoutMs = 3000 } = {}) {
+        const [response] = await this.client.listVoices({ languageCode: this.languageCode }, { timeout: timeoutMs });
+        
+        if (!response.voices.some(voice => voice.name === this.voice)) {
+            throw new Error(`Google TTS voice ${this.voice} is not available for ${this.languageCode}`);
+        }
+        return `voice ${this.voice} available`;
+    }
+}
+
+// Voice names start with their language: en-US-Wavenet-F, cmn-CN-Standard-A
+function languageOf(voiceName) {
+    return voiceName.split('-').slice(0, 2).join('-');
+}
+
+// The REST transport ignores the call's `timeout` option
+function withDeadline(promise, timeoutMs) {
+    let timer;
+    const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(new UpstreamError(`Google TTS API timeout after ${timeoutMs}ms`, { kind: 'timeout' }));
+        }, timeoutMs);
+    });
+    
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+function restEndpoint(baseUrl) {
+    const url = new URL(baseUrl);
+    
+    return {
+        fallback: true,
+        protocol: url.protocol.slice(0, -1),
+        apiEndpoint: url.hostname,
+        port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80)
+    };
+}
+
+export default GoogleTTSProvider;
@@ -0,0 +1,19 @@
+import GoogleTTSProvider from './googleProvider.js';
+import OpenAICompatibleTTSProvider from './openAICompatibleProvider.js';
+import CommandTTSProvider from './commandProvider.js';
+
+const TTS_PROVIDERS = {
+    google: GoogleTTSProvider,
+    openai: OpenAICompatibleTTSProvider,
+    command: CommandTTSProvider
+};
+
+export function createTTSProvider(name, options = {}) {
+    const Provider = TTS_PROVIDERS[name];
+    
+    if (!Provider) {
+        throw new Error(`Unknown TTS provider "${name}" (expected one of: ${Object.keys(TTS_PROVIDERS).join(', ')})`);
+    }
+    
+    return new Provider(options);
+}
@@ -0,0 +1,107 @@
+import http from 'http';
+import https from 'https';
+import { toOutputPcm } from '../audio/pcm.js';
+import { UpstreamError } from '../upstreamError.js';
+import { probeEndpoint } from '../http/probe.js';
+import { ssmlToText } from './speechOptions.js';
+
+/**
+ * Text-to-speech adapter for endpoints implementing the OpenAI
+ * `/audio/speech` API. Raw `pcm` responses are 24 kHz unless the server
+ * says otherwise via `sampleRate`.
+ */
+class OpenAICompatibleTTSProvider {
+    constructor({
+        baseUrl,
+        apiKey = '',
+        model = 'tts-1',
+        voice = 'alloy',
+        speed = 1.0,
+        sampleRate = 24000,
+        timeoutMs = 10000
+    } = {}) {
+        if (!baseUrl) {
+            throw new Error('OpenAI-compatible TTS provider requires TTS_BASE_URL');
+        }
+        
+        this.name = 'openai';
+        this.baseUrl = new URL(baseUrl.endsWith('/') ? baseUrl : baseUrl + '/');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.voice = voice;
+        this.speed = speed;
+        this.sampleRate = sampleRate;
+        this.timeoutMs = timeoutMs;
+    }
+    
+
+    // The API takes no SSML and has no pitch setting
+    async synthesize(text, { signal, ssml = false, voice = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const body = JSON.stringify({
+                model: this.model,
+                input: ssml ? ssmlToText(text) : text,
+                voice: voice?.name ?? this.voice,
+                speed: voice?.speakingRate ?? this.speed,
+                response_format: 'pcm'
+            });
+            
+            const url = new URL('audio/speech', this.baseUrl);
+            const transport = url.protocol === 'https:' ? https : http;
+            
+            const headers = {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            };
+            if (this.apiKey) {
+                headers['Authorization'] = `Bearer ${this.apiKey}`;
+            }
+            
+            const req = transport.request(url, { method: 'POST', headers, signal }, (res) => {
+                const chunks = [];
+                
+                res.on('data', (chunk) => {
+                    chunks.push(chunk);
+                });
+                
+                res.on('end', () => {
+                    const audio = Buffer.concat(chunks);
+                    
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        reject(UpstreamError.fromStatus(`${this.name} TTS API error ${res.statusCode}: ${audio.toString('utf8', 0, 200)}`, res.statusCode));
+                        return;
+                    }
+                    
+                    try {
+                        resolve(toOutputPcm(audio, this.sampleRate));
+                    } catch (error) {
+                        reject(new UpstreamError(error.message, { kind: 'bad_response' }));
+                    }
+                });
+            });
+            
+            req.on('error', (error) => {
+                reject(error);
+            });
+            
+            req.setTimeout(this.timeoutMs, () => {
+                req.destroy();
+                reject(new UpstreamError(`${this.name} TTS API timeout`, { kind: 'timeout' }));
+            });
+            
+            req.end(body);
+        });
+    }
+    
+
+    async checkReady({ timeoutMs = 3000 } = {}) {
+        const { statusCode } = await probeEndpoint(new URL('models', this.baseUrl), {
+            name: `${this.name} TTS`,
+            apiKey: this.apiKey,
+            timeoutMs
+        });
+        return `${this.baseUrl.host} answered HTTP ${statusCode}`;
+    }
+}
+
+export default OpenAICompatibleTTSProvider;
@@ -0,0 +1,111 @@
+import { ssmlToText } from './speechOptions.js';
+
+const SENTENCE_END = /(?<=[.!?])\s+/;
+const CLAUSE_END = /(?<=[,;:])\s+/;
+
+const SSML_DOCUMENT = /^\s*(<speak\b[^>]*>)([\s\S]*)<\/speak>\s*$/;
+// `<p>` cannot contain another `<p>`, nor `<s>` another `<s>`
+const SSML_BLOCK = /<(p|s)\b[^>]*>[\s\S]*?<\/\1>/g;
+const SSML_BLOCKS = /^\s*(?:<(p|s)\b[^>]*>[\s\S]*?<\/\1>\s*)+$/;
+
+/**
+ * Splits an answer into sentences, then splits sentences longer than
+ * `maxChars` at clause boundaries. Fragments shorter than `minChars` are
+ * merged into their neighbour so prosody does not get choppy.
+ */
+export function splitIntoSegments(text, { maxChars = 120, minChars = 20 } = {}) {
+    const pieces = [];
+    
+    for (const sentence of text.trim().split(SENTENCE_END)) {
+        if (sentence.length <= maxChars) {
+            pieces.push(sentence);
+        } else {
+            pieces.push(...sentence.split(CLAUSE_END));
+        }
+    }
+    
+    return mergeShort(pieces.map(p => p.trim()).filter(Boolean), { maxChars, minChars });
+}
+
+/**
+ * Splits an SSML document between its top-level `<p>` and `<s>` elements,
+ * each part wrapped in the document's own `<speak>` tag. A document with
+ * anything else at the top level (text, `<prosody>` around several
+ * sentences, ...) is returned whole, since its markup may span sentences.
+ */
+export function splitSsmlIntoSegments(ssml, { maxChars = 120, minChars = 20 } = {}) {
+    const match = SSML_DOCUMENT.exec(ssml);
+    if (!match || !SSML_BLOCKS.test(match[2])) {
+        return [ssml];
+    }
+    
+    const [, speakTag, body] = match;
+    const blocks = body.match(SSML_BLOCK);
+    
+    return mergeShort(blocks, { maxChars, minChars }, block => ssmlToText(block).length, '')
+        .map(part => `${speakTag}${part}</speak>`);
+}
+
+// Merges pieces shorter than `minChars` (by `length`) into their neighbour
+function mergeShort(pieces, { maxChars, minChars }, length = piece => piece.length, separator = ' ') {
+    const segments = [];
+    
+    for (const piece of pieces) {
+        const last = segments[segments.length - 1];
+        
+        if (last !== undefined && (length(last) < minChars || length(piece) < minChars) && length(last) + length(piece) < maxChars) {
+            segments[segments.length - 1] = `${last}${separator}${piece}`;
+        } else {
+            segments.push(piece);
+        }
+    }
+    
+    return segments;
+}
+
+/**
+ * Synthesizes segments with up to `concurrency` requests in flight and hands
+ * the audio to `onAudio` strictly in segment order, so the first sentence can
+ * play while later ones are still being synthesized. Aborting `signal`, a
+ * failed segment or a failing `onAudio` cancels the requests still in
+ * flight. An `ssml` document is split only between its top-level `<p>` and
+ * `<s>` elements (see splitSsmlIntoSegments); `voice` goes to every request.
+ */
+export async function synthesizePipelined(provider, text, onAudio, { split = true, concurrency = 2, maxChars, minChars, signal, ssml = false, voice = null } = {}) {
+    const splitText = ssml ? splitSsmlIntoSegments : splitIntoSegments;
+    const segments = split ? splitText(text, { maxChars, minChars }) : [text];
+    const results = [];
+    
+    // Segments launched ahead must not outlive the answer they belong to
+    const controller = new AbortController();
+    const abort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+        abort();
+    }
+    signal?.addEventListener('abort', abort, { once: true });
+    
+    const launchUpTo = (index) => {
+        for (let i = results.length; i < Math.min(index + 1, segments.length); i++) {
+            results[i] = provider.synthesize(segments[i], { signal: controller.signal, ssml, voice });
+            // Failures surface when the segment is awaited in order
+            results[i].catch(() => {});
+        }
+    };
+    
+    try {
+        for (let i = 0; i < segments.length; i++) {
+            launchUpTo(i + concurrency - 1);
+            
+            const audio = await results[i];
+            signal?.throwIfAborted();
+            await onAudio(audio, i, segments.length);
+        }
+    } catch (error) {
+        controller.abort(error);
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', abort);
+    }
+    
+    return segments.length;
+}
@@ -0,0 +1,61 @@
+// The ranges Google accepts; other providers ignore what they cannot honour
+const SPEAKING_RATE = { min: 0.25, max: 4 };
+const PITCH = { min: -20, max: 20 };
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Voices a `speak` request may pick: the provider's default plus the
+ * deployment's TTS_VOICES allowlist.
+ */
+export function allowedVoices(defaultVoice, voices = []) {
+    return [...new Set([defaultVoice, ...voices].filter(Boolean))];
+}
+
+/**
+ * Checks the optional `ssml` and `voice { name, speakingRate, pitch }` of a
+ * `speak` request. Returns { ok: true, ssml, voice } with only the settings
+ * the request overrides, or { ok: false, message }.
+ */
+export function parseSpeechOptions({ ssml, voice }, { voices }) {
+    if (ssml !== undefined && ssml !== null && !/^\s*<speak[\s>][\s\S]*<\/speak>\s*$/.test(ssml)) {
+        return { ok: false, message: '"ssml" must be a <speak> document' };
+    }
+    
+    const { name, speakingRate, pitch } = voice || {};
+    const overrides = {};
+    
+    if (name !== undefined && name !== null) {
+        if (!voices.includes(name)) {
+            return { ok: false, message: `Voice "${name}" is not available (expected one of: ${voices.join(', ')})` };
+        }
+        overrides.name = name;
+    }
+    
+    for (const [setting, value, range] of [['speakingRate', speakingRate, SPEAKING_RATE], ['pitch', pitch, PITCH]]) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value !== 'number' || !(value >= range.min && value <= range.max)) {
+            return { ok: false, message: `Voice ${setting} must be a number between ${range.min} and ${range.max}` };
+        }
+        overrides[setting] = value;
+    }
+    
+    return {
+        ok: true,
+        ssml: ssml ?? null,
+        voice: Object.keys(overrides).length > 0 ? overrides : null
+    };
+}
+
+// For providers that only take plain text: the words are kept, the pauses
+// and emphasis are lost. `<sub alias>` is spoken as its alias.
+export function ssmlToText(ssml) {
+    return ssml
+        .replace(/<sub\b[^>]*\balias="([^"]*)"[^>]*>[\s\S]*?<\/sub>/g, ' $1 ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => XML_ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+
+/**
+ * LRU cache of synthesized 16 kHz LINEAR16 audio, bounded by entry count and
+ * total bytes. With a `dir`, entries are also written to disk and survive
+ * restarts; a memory miss falls back to the disk copy. The directory is an
+ * LRU of its own, capped at `maxDiskBytes`: per-request voices and SSML
+ * would otherwise add files forever.
+ */
+class TTSCache {
+    constructor({ maxEntries = 500, maxBytes = 64 * 1024 * 1024, dir = null, maxDiskBytes = 512 * 1024 * 1024 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.dir = dir;
+        this.maxDiskBytes = maxDiskBytes;
+        this.entries = new Map();
+        this.bytes = 0;
+        // Key -> file size, least recently used first
+        this.diskEntries = new Map();
+        this.diskBytes = 0;
+        this.stats = { hits: 0, diskHits: 0, misses: 0, evictions: 0, diskEvictions: 0 };
+        
+        if (this.dir) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            this.loadDiskIndex();
+        }
+    }
+    
+
+    static key(text, voiceSettings) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ text, ...voiceSettings, encoding: 'LINEAR16', sampleRate: 16000 }))
+            .digest('hex');
+    }
+    
+
+    async get(key) {
+        const audio = this.entries.get(key);
+        
+        if (audio) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, audio);
+            this.touchDisk(key);
+            this.stats.hits++;
+            return audio;
+        }
+        
+        if (this.diskEntries.has(key)) {
+            try {
+                const diskAudio = await fs.promises.readFile(this.filePath(key));
+                this.remember(key, diskAudio);
+                this.touchDisk(key);
+                // The modification time orders the index after a restart
+                const now = new Date();
+                fs.promises.utimes(this.filePath(key), now, now).catch(() => {});
+                this.stats.hits++;
+                this.stats.diskHits++;
+                return diskAudio;
+            } catch (error) {
+                this.forgetDisk(key);
+                if (error.code !== 'ENOENT') {
+                    logger.warn('TTS cache read failed', { error });
+                }
+            }
+        }
+        
+        this.stats.misses++;
+        return null;
+    }
+    
+
+    // Lookup that leaves recency and hit/miss stats untouched
+    async has(key) {
+        return this.entries.has(key) || this.diskEntries.has(key);
+    }
+    
+
+    async set(key, audio) {
+        this.remember(key, audio);
+        
+        if (this.dir && audio.length <= this.maxDiskBytes) {
+            try {
+                await fs.promises.writeFile(this.filePath(key), audio);
+            } catch (error) {
+                logger.warn('TTS cache write failed', { error });
+                return;
+            }
+            
+            this.forgetDisk(key);
+            this.diskEntries.set(key, audio.length);
+            this.diskBytes += audio.length;
+            this.trimDisk();
+        }
+    }
+    
+
+    remember(key, audio) {
+        if (audio.length > this.maxBytes) {
+            return;
+        }
+        
+        if (this.entries.has(key)) {
+            this.bytes -= this.entries.get(key).length;
+            this.entries.delete(key);
+        }
+        
+        this.entries.set(key, audio);
+        this.bytes += audio.length;
+        
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            const [oldestKey, oldestAudio] = this.entries.entries().next().value;
+            this.entries.delete(oldestKey);
+            this.bytes -= oldestAudio.length;
+            this.stats.evictions++;
+        }
+    }
+    
+
+    // Indexes the files a previous run left, oldest first
+    loadDiskIndex() {
+        const files = [];
+        
+        for (const name of fs.readdirSync(this.dir)) {
+            if (!name.endsWith('.pcm')) {
+                continue;
+            }
+            
+            try {
+                const stats = fs.statSync(path.join(this.dir, name));
+                files.push({ key: name.slice(0, -'.pcm'.length), size: stats.size, mtimeMs: stats.mtimeMs });
+            } catch (error) {
+                // Removed since the directory was listed
+            }
+        }
+        
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { key, size } of files) {
+            this.diskEntries.set(key, size);
+            this.diskBytes += size;
+        }
+        
+        this.trimDisk();
+    }
+    
+
+    touchDisk(key) {
+        if (this.diskEntries.has(key)) {
+            const size = this.diskEntries.get(key);
+            this.diskEntries.delete(key);
+            this.diskEntries.set(key, size);
+        }
+    }
+    
+
+    forgetDisk(key) {
+        if (this.diskEntries.has(key)) {
+            this.diskBytes -= this.diskEntries.get(key);
+            this.diskEntries.delete(key);
+        }
+    }
+    
+
+    // Deletes the least recently used files until the directory fits
+    trimDisk() {
+        while (this.diskBytes > this.maxDiskBytes) {
+            const [oldestKey] = this.diskEntries.keys();
+            this.forgetDisk(oldestKey);
+            this.stats.diskEvictions++;
+            
+            fs.promises.unlink(this.filePath(oldestKey)).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    logger.warn('TTS cache eviction failed', { error });
+                }
+            });
+        }
+    }
+    
+
+    filePath(key) {
+        return path.join(this.dir, `${key}.pcm`);
+    }
+    
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(3)) : 0,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            disk: Boolean(this.dir),
+            ...(this.dir && {
+                diskEntries: this.diskEntries.size,
+                diskBytes: this.diskBytes,
+                maxDiskBytes: this.maxDiskBytes
+            })
+        };
+    }
+}
+
+export default TTSCache;
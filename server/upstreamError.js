@@ -0,0 +1,102 @@
+import { errorMessage } from '../js/protocol/messages.js';
+
+/**
+ * Failure talking to an STT/TTS backend. `kind` says why, so callers can
+ * count, report and (later) retry by cause without parsing messages:
+ * timeout, auth, rate_limited, server_error, bad_request, network,
+ * bad_response, process, cancelled (the caller aborted the request) or
+ * circuit_open (a circuit breaker refused to call the upstream).
+ */
+export class UpstreamError extends Error {
+    constructor(message, { kind, statusCode = null } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.kind = kind;
+        this.statusCode = statusCode;
+    }
+    
+
+    static fromStatus(message, statusCode) {
+        return new UpstreamError(message, { kind: kindForStatus(statusCode), statusCode });
+    }
+}
+
+export function kindForStatus(statusCode) {
+    if (statusCode === 401 || statusCode === 403) {
+        return 'auth';
+    }
+    if (statusCode === 408) {
+        return 'timeout';
+    }
+    if (statusCode === 429) {
+        return 'rate_limited';
+    }
+    return statusCode >= 500 ? 'server_error' : 'bad_request';
+}
+
+// gRPC status codes as returned by the Google client libraries
+const GRPC_KINDS = {
+    1: 'cancelled',
+    3: 'bad_request',
+    4: 'timeout',
+    7: 'auth',
+    8: 'rate_limited',
+    13: 'server_error',
+    14: 'network',
+    16: 'auth'
+};
+
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE']);
+
+export function classifyUpstreamError(error) {
+    if (error?.kind) {
+        return error.kind;
+    }
+    if (error?.name === 'AbortError') {
+        return 'cancelled';
+    }
+    if (typeof error?.code === 'number' && GRPC_KINDS[error.code]) {
+        return GRPC_KINDS[error.code];
+    }
+    if (error?.code === 'ETIMEDOUT') {
+        return 'timeout';
+    }
+    if (NETWORK_ERROR_CODES.has(error?.code)) {
+        return 'network';
+    }
+    return 'unknown';
+}
+
+const ERROR_CODES_BY_KIND = {
+    timeout: 'UPSTREAM_TIMEOUT',
+    auth: 'AUTH_FAILED',
+    rate_limited: 'RATE_LIMITED',
+    server_error: 'UPSTREAM_UNAVAILABLE',
+    network: 'UPSTREAM_UNAVAILABLE',
+    circuit_open: 'UPSTREAM_UNAVAILABLE'
+};
+
+// What clients are told. The provider's own message stays in the server log:
+// it can quote the upstream's response body, account or request details.
+const CLIENT_MESSAGES = {
+    UPSTREAM_TIMEOUT: 'The speech provider did not answer in time',
+    AUTH_FAILED: 'The proxy could not authenticate with the speech provider',
+    RATE_LIMITED: 'The speech provider is rate limiting requests',
+    UPSTREAM_UNAVAILABLE: 'The speech provider is unavailable',
+    BAD_AUDIO: 'The speech provider could not process the audio',
+    UPSTREAM_ERROR: 'The speech provider request failed'
+};
+
+// A rejected request means bad input for STT (`BAD_AUDIO`), a proxy-side
+// bug otherwise
+function upstreamErrorCode(error, badRequestCode = 'UPSTREAM_ERROR') {
+    const kind = classifyUpstreamError(error);
+    return kind === 'bad_request' ? badRequestCode : ERROR_CODES_BY_KIND[kind] || 'UPSTREAM_ERROR';
+}
+
+// The error message sent to clients for a failed provider call
+export function upstreamErrorMessage(error, { badRequestCode = 'UPSTREAM_ERROR', ...fields } = {}) {
+    const code = upstreamErrorCode(error, badRequestCode);
+    
+    return errorMessage(code, CLIENT_MESSAGES[code], fields);
+}
@@ -0,0 +1,122 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import OriginPolicy from '../server/http/cors.js';
+import { getClientAddress, getRequestOrigin } from '../server/http/clientAddress.js';
+
+// The parts of an IncomingMessage the policy reads
+function request(headers = {}, { encrypted = false, remoteAddress = '10.0.0.5' } = {}) {
+    return { headers, socket: { encrypted, remoteAddress } };
+}
+
+function response() {
+    const headers = {};
+    return { headers, setHeader: (name, value) => { headers[name] = value; } };
+}
+
+// Behind a TLS terminator: the browser is on https://app.example.com, the
+// proxy sees plain HTTP from the load balancer
+const BEHIND_PROXY = {
+    host: 'proxy-internal:8080',
+    'x-forwarded-proto': 'https',
+    'x-forwarded-host': 'app.example.com'
+};
+
+describe('Origin policy', () => {
+    test('allows the page\'s own origin, compared by scheme, host and port', () => {
+        const policy = new OriginPolicy();
+        
+        assert.equal(policy.isAllowed('http://localhost:8080', request({ host: 'localhost:8080' })), true);
+        assert.equal(policy.isAllowed('https://localhost:8080', request({ host: 'localhost:8080' }, { encrypted: true })), true);
+        assert.equal(policy.isAllowed('http://localhost:3000', request({ host: 'localhost:8080' })), false);
+        assert.equal(policy.isAllowed('https://localhost:8080', request({ host: 'localhost:8080' })), false);
+        assert.equal(policy.isAllowed('http://localhost:8080.evil.com', request({ host: 'localhost:8080' })), false);
+    });
+    
+    test('refuses a request without an Origin', () => {
+        const policy = new OriginPolicy({ allowedOrigins: ['https://app.example.com'] });
+        
+        assert.equal(policy.isAllowed(undefined, request({ host: 'app.example.com' })), false);
+        assert.equal(policy.isAllowed('', request({ host: 'app.example.com' })), false);
+    });
+    
+    test('allows listed origins, normalized, and any origin for *', () => {
+        const policy = new OriginPolicy({ allowedOrigins: ['https://App.Example.com:443/', 'http://localhost:5173'] });
+        const req = request({ host: 'proxy.example.com' });
+        
+        assert.equal(policy.isAllowed('https://app.example.com', req), true);
+        assert.equal(policy.isAllowed('http://localhost:5173', req), true);
+        assert.equal(policy.isAllowed('https://evil.example.com', req), false);
+        assert.equal(policy.isAllowed('null', req), false);
+        
+        assert.equal(new OriginPolicy({ allowedOrigins: ['*'] }).isAllowed('https://evil.example.com', req), true);
+    });
+    
+    test('ignores forwarded headers without TRUST_PROXY', () => {
+        const policy = new OriginPolicy({ trustProxy: false });
+        
+        assert.equal(policy.isAllowed('https://app.example.com', request(BEHIND_PROXY)), false);
+        // Anyone can send the headers: they must not make a foreign page same-origin
+        assert.equal(policy.isAllowed('https://evil.example.com', request({
+            host: 'app.example.com',
+            'x-forwarded-proto': 'https',
+            'x-forwarded-host': 'evil.example.com'
+        })), false);
+    });
+    
+    test('reads forwarded headers with TRUST_PROXY', () => {
+        const policy = new OriginPolicy({ trustProxy: true });
+        
+        assert.equal(policy.isAllowed('https://app.example.com', request(BEHIND_PROXY)), true);
+        assert.equal(policy.isAllowed('http://app.example.com', request(BEHIND_PROXY)), false);
+        assert.equal(policy.isAllowed('https://proxy-internal:8080', request(BEHIND_PROXY)), false);
+    });
+    
+    test('sets CORS headers only for allowed cross-origin callers', () => {
+        const policy = new OriginPolicy({ allowedOrigins: ['https://app.example.com'] });
+        
+        const allowed = response();
+        assert.equal(policy.applyCors(request({ origin: 'https://app.example.com', host: 'proxy.example.com' }), allowed), true);
+        assert.equal(allowed.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+        assert.equal(allowed.headers.Vary, 'Origin');
+        
+        const refused = response();
+        assert.equal(policy.applyCors(request({ origin: 'https://evil.example.com', host: 'proxy.example.com' }), refused), false);
+        assert.equal(refused.headers['Access-Control-Allow-Origin'], undefined);
+        
+        // Not a browser cross-origin request: nothing to allow or refuse
+        const sameSite = response();
+        assert.equal(policy.applyCors(request({ host: 'proxy.example.com' }), sameSite), true);
+        assert.equal(sameSite.headers['Access-Control-Allow-Origin'], undefined);
+    });
+});
+
+describe('Request origin and client address', () => {
+    test('derive the origin from the connection unless TRUST_PROXY is set', () => {
+        assert.equal(getRequestOrigin(request(BEHIND_PROXY)), 'http://proxy-internal:8080');
+        assert.equal(getRequestOrigin(request(BEHIND_PROXY), true), 'https://app.example.com');
+        assert.equal(getRequestOrigin(request({ host: 'app.example.com:443' }, { encrypted: true })), 'https://app.example.com');
+    });
+    
+    test('use the first hop of multi-valued forwarded headers', () => {
+        const req = request({
+            host: 'proxy-internal:8080',
+            'x-forwarded-proto': 'https, http',
+            'x-forwarded-host': 'app.example.com, proxy-internal'
+        });
+        
+        assert.equal(getRequestOrigin(req, true), 'https://app.example.com');
+    });
+    
+    test('return null for a Host that is not a valid origin', () => {
+        assert.equal(getRequestOrigin(request({})), null);
+        assert.equal(getRequestOrigin(request({ host: 'bad host' })), null);
+    });
+    
+    test('read X-Forwarded-For only with TRUST_PROXY', () => {
+        const req = request({ 'x-forwarded-for': '203.0.113.7, 10.0.0.1' });
+        
+        assert.equal(getClientAddress(req), '10.0.0.5');
+        assert.equal(getClientAddress(req, true), '203.0.113.7');
+        assert.equal(getClientAddress(request({}), true), '10.0.0.5');
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import FailoverProvider from '../server/resilience/failoverProvider.js';
+import CachingTTSProvider from '../server/tts/cachingProvider.js';
+import TTSCache from '../server/tts/ttsCache.js';
+import { UpstreamError } from '../server/upstreamError.js';
+
+// A TTS provider that answers or fails on demand and counts its calls
+function scriptedProvider(name) {
+    return {
+        name,
+        voice: `${name}-voice`,
+        failing: false,
+        calls: 0,
+        async synthesize(text) {
+            this.calls++;
+            if (this.failing) {
+                throw UpstreamError.fromStatus(`${name} returned 503`, 503);
+            }
+            return Buffer.from(`${name}:${text}`);
+        }
+    };
+}
+
+function cachedChain({ resetTimeoutMs = 30000 } = {}) {
+    const primary = scriptedProvider('google');
+    const fallback = scriptedProvider('openai');
+    const provider = new FailoverProvider({
+        providers: [new CachingTTSProvider(primary, new TTSCache()), fallback],
+        retry: { retries: 0 },
+        circuitBreaker: { failureThreshold: 1, resetTimeoutMs }
+    });
+    
+    return { primary, fallback, provider, breaker: provider.upstreams[0].breaker };
+}
+
+describe('Failover with a cached primary', () => {
+    test('serves the primary\'s cached audio while its circuit is open', async () => {
+        const { primary, fallback, provider, breaker } = cachedChain();
+        assert.equal((await provider.synthesize('hello')).toString(), 'google:hello');
+        
+        primary.failing = true;
+        assert.equal((await provider.synthesize('goodbye')).toString(), 'openai:goodbye');
+        assert.equal(breaker.state, 'open');
+        
+        const callsBefore = primary.calls;
+        assert.equal((await provider.synthesize('hello')).toString(), 'google:hello');
+        assert.equal(primary.calls, callsBefore);
+        assert.equal(fallback.calls, 1);
+    });
+    
+    test('does not cache the fallback\'s audio under the primary\'s key', async () => {
+        const { primary, provider, breaker } = cachedChain();
+        primary.failing = true;
+        assert.equal((await provider.synthesize('hello')).toString(), 'openai:hello');
+        
+        primary.failing = false;
+        breaker.recordSuccess();
+        assert.equal((await provider.synthesize('hello')).toString(), 'google:hello');
+    });
+    
+    test('does not let a cache hit close a half-open circuit', async () => {
+        const { primary, provider, breaker } = cachedChain({ resetTimeoutMs: 0 });
+        await provider.synthesize('hello');
+        
+        primary.failing = true;
+        await provider.synthesize('goodbye');
+        assert.equal(breaker.state, 'open');
+        
+        await provider.synthesize('hello');
+        assert.equal(breaker.state, 'open');
+        assert.equal(provider.degraded, true);
+    });
+});
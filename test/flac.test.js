@@ -0,0 +1,116 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeFlac } from '../server/audio/flac.js';
+import { decodeFlac } from './support/flacDecoder.js';
+
+function pcm(samples) {
+    const buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+    return buffer;
+}
+
+function tone(count, { frequency = 440, amplitude = 8000 } = {}) {
+    return Array.from({ length: count }, (_, i) => Math.round(Math.sin(2 * Math.PI * frequency * i / 16000) * amplitude));
+}
+
+// Deterministic full-scale noise: no predictor beats storing it verbatim
+function noise(count) {
+    let state = 12345;
+    return Array.from({ length: count }, () => {
+        state = (state * 1103515245 + 12345) % 2 ** 31;
+        return (state >> 8) % 65536 - 32768;
+    });
+}
+
+function assertRoundTrip(input, options) {
+    const encoded = encodeFlac(input, options);
+    const { pcm: decoded, streamInfo } = decodeFlac(encoded);
+    
+    assert.ok(decoded.equals(input.subarray(0, decoded.length)), 'decoded samples match the input');
+    assert.equal(decoded.length, input.length - (input.length % 2));
+    return { encoded, streamInfo };
+}
+
+describe('FLAC encoder', () => {
+    test('writes the fLaC marker and a final STREAMINFO block', () => {
+        const encoded = encodeFlac(pcm(tone(100)));
+        
+        // "fLaC", last-block flag + type 0, length 34
+        assert.deepEqual([...encoded.subarray(0, 8)], [0x66, 0x4c, 0x61, 0x43, 0x80, 0x00, 0x00, 0x22]);
+        
+        const { streamInfo } = decodeFlac(encoded);
+        assert.equal(streamInfo.sampleRate, 16000);
+        assert.equal(streamInfo.channels, 1);
+        assert.equal(streamInfo.bitsPerSample, 16);
+        assert.equal(streamInfo.totalSamples, 100);
+        assert.equal(streamInfo.minBlockSize, 4096);
+        assert.equal(streamInfo.maxBlockSize, 4096);
+    });
+    
+    test('codes silence as constant subframes', () => {
+        const { encoded } = assertRoundTrip(pcm(new Array(16000).fill(0)));
+        
+        // Marker, STREAMINFO and four frames of a few header bytes each
+        assert.ok(encoded.length < 100, `${encoded.length} bytes`);
+    });
+    
+    test('round-trips a tone and compresses it', () => {
+        const input = pcm(tone(16000 * 2));
+        const { encoded } = assertRoundTrip(input);
+        
+        assert.ok(encoded.length < input.length * 0.7, `${encoded.length} of ${input.length} bytes`);
+    });
+    
+    test('round-trips noise at no more than its raw size plus headers', () => {
+        const input = pcm(noise(10000));
+        const { encoded } = assertRoundTrip(input);
+        
+        assert.ok(encoded.length <= input.length + 42 + 3 * 16, `${encoded.length} of ${input.length} bytes`);
+    });
+    
+    test('round-trips full-scale samples', () => {
+        const extremes = Array.from({ length: 5000 }, (_, i) => (i % 2 === 0 ? 32767 : -32768));
+        assertRoundTrip(pcm(extremes));
+        assertRoundTrip(pcm([...new Array(100).fill(-32768), ...new Array(100).fill(32767)]));
+    });
+    
+    test('codes a partial last block', () => {
+        for (const count of [4097, 4096 * 2 + 123, 4096 * 3 - 1]) {
+            const { streamInfo } = assertRoundTrip(pcm(tone(count)));
+            assert.equal(streamInfo.totalSamples, count);
+        }
+    });
+    
+    test('codes blocks too short for a predictor', () => {
+        for (const count of [1, 2, 3, 4, 5, 4096 + 3]) {
+            assertRoundTrip(pcm(tone(count, { frequency: 3000 })));
+        }
+    });
+    
+    test('ignores a trailing odd byte', () => {
+        const input = Buffer.concat([pcm(tone(321)), Buffer.from([0x7f])]);
+        const { streamInfo } = assertRoundTrip(input);
+        
+        assert.equal(streamInfo.totalSamples, 321);
+    });
+    
+    test('encodes an empty input as a stream without frames', () => {
+        const { encoded, streamInfo } = assertRoundTrip(Buffer.alloc(0));
+        
+        assert.equal(encoded.length, 42);
+        assert.equal(streamInfo.totalSamples, 0);
+    });
+    
+    test('numbers frames past 127 with multi-byte frame numbers', () => {
+        // 16-sample blocks: 300 frames
+        const { streamInfo } = assertRoundTrip(pcm(tone(16 * 300 - 5)), { blockSize: 16 });
+        
+        assert.equal(streamInfo.maxBlockSize, 16);
+    });
+    
+    test('records the sample rate it is given', () => {
+        const { streamInfo } = assertRoundTrip(pcm(tone(1000)), { sampleRate: 48000 });
+        
+        assert.equal(streamInfo.sampleRate, 48000);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import SessionTokens, { AuthError } from '../server/auth/sessionTokens.js';
+
+const SECRET = 'test-secret-that-is-at-least-32-characters';
+const ORIGIN = 'https://app.example.com';
+
+// Re-signs `claims` with the real key, as only someone holding the secret could
+function forge(tokens, claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${tokens.sign(payload)}`;
+}
+
+function claimsOf(token) {
+    return JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString('utf8'));
+}
+
+describe('Session tokens', () => {
+    const tokens = new SessionTokens({ secret: SECRET, ttlSeconds: 600 });
+    
+    test('verifies a token it issued and returns its claims', () => {
+        const { token, sessionId, expiresAt } = tokens.issue({ origin: ORIGIN });
+        const claims = tokens.verify(token, { origin: ORIGIN });
+        
+        assert.equal(claims.sid, sessionId);
+        assert.equal(claims.origin, ORIGIN);
+        assert.equal(claims.exp * 1000, expiresAt);
+        assert.equal(claims.exp - claims.iat, 600);
+    });
+    
+    test('refuses a missing or malformed token', () => {
+        for (const token of [undefined, null, '', 'no-signature', 42]) {
+            assert.throws(() => tokens.verify(token), { name: 'AuthError', message: 'Missing session token' });
+        }
+        assert.throws(() => tokens.verify('payload.'), AuthError);
+    });
+    
+    test('refuses a token whose claims were changed after signing', () => {
+        const { token } = tokens.issue({ origin: ORIGIN });
+        const [, signature] = token.split('.');
+        
+        const claims = { ...claimsOf(token), exp: claimsOf(token).exp + 3600 };
+        const tampered = `${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+        
+        assert.throws(() => tokens.verify(tampered, { origin: ORIGIN }), { message: 'Invalid session token' });
+    });
+    
+    test('refuses a token with a changed signature', () => {
+        const { token } = tokens.issue({ origin: ORIGIN });
+        const [payload, signature] = token.split('.');
+        const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+        
+        assert.throws(() => tokens.verify(`${payload}.${flipped}`), { message: 'Invalid session token' });
+        assert.throws(() => tokens.verify(`${payload}.${signature.slice(1)}`), { message: 'Invalid session token' });
+    });
+    
+    test('refuses a token signed with another secret', () => {
+        const other = new SessionTokens({ secret: 'another-secret-that-is-at-least-32-characters' });
+        const { token } = other.issue({ origin: ORIGIN });
+        
+        assert.throws(() => tokens.verify(token, { origin: ORIGIN }), { message: 'Invalid session token' });
+    });
+    
+    test('refuses a signed payload that is not JSON', () => {
+        const payload = Buffer.from('not json').toString('base64url');
+        
+        assert.throws(() => tokens.verify(`${payload}.${tokens.sign(payload)}`), { message: 'Invalid session token' });
+    });
+    
+    test('refuses an expired token', () => {
+        const now = Math.floor(Date.now() / 1000);
+        const expired = forge(tokens, { sid: 'session', origin: ORIGIN, iat: now - 700, exp: now - 100 });
+        const withoutExpiry = forge(tokens, { sid: 'session', origin: ORIGIN, iat: now });
+        
+        assert.throws(() => tokens.verify(expired, { origin: ORIGIN }), { message: 'Session token expired' });
+        assert.throws(() => tokens.verify(withoutExpiry, { origin: ORIGIN }), { message: 'Session token expired' });
+    });
+    
+    test('refuses a token presented from another origin', () => {
+        const { token } = tokens.issue({ origin: ORIGIN });
+        
+        assert.throws(() => tokens.verify(token, { origin: 'https://evil.example.com' }), {
+            message: 'Session token was issued to a different origin'
+        });
+        assert.throws(() => tokens.verify(token, { origin: 'http://app.example.com' }), AuthError);
+        assert.throws(() => tokens.verify(token, { origin: 'https://app.example.com:8443' }), AuthError);
+    });
+    
+    test('accepts a token presented without an Origin, as non-browser clients send none', () => {
+        const { token } = tokens.issue({ origin: ORIGIN });
+        
+        assert.equal(tokens.verify(token).origin, ORIGIN);
+        assert.equal(tokens.verify(token, { origin: null }).origin, ORIGIN);
+    });
+    
+    test('signs with a random secret when none is configured', () => {
+        const first = new SessionTokens({});
+        const second = new SessionTokens({});
+        
+        assert.equal(first.ephemeralSecret, true);
+        assert.equal(tokens.ephemeralSecret, false);
+        assert.throws(() => second.verify(first.issue().token), { message: 'Invalid session token' });
+    });
+});
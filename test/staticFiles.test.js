@@ -0,0 +1,208 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createStaticHandler } from '../server/http/staticFiles.js';
+
+describe('Static file server', () => {
+    let tmpDir;
+    let server;
+    let port;
+    
+    before(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-files-'));
+        const appDir = path.join(tmpDir, 'app');
+        
+        const files = {
+            'app/index.html': '<!doctype html>',
+            'app/style.css': 'body {}',
+            'app/model.wasm': Buffer.from([0, 97, 115, 109, 1, 0, 0, 0]),
+            'app/service-account.json': '{"private_key": "secret"}',
+            'app/.env': 'SESSION_SECRET=secret',
+            'app/nested/model.wasm': Buffer.from([0, 97, 115, 109]),
+            'app/js/main.js': '0123456789',
+            'app/js/.hidden.js': 'hidden',
+            'app/js/services/sttService.js': 'export {};',
+            'outside.js': 'outside'
+        };
+        for (const [name, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(tmpDir, name)), { recursive: true });
+            fs.writeFileSync(path.join(tmpDir, name), content);
+        }
+        
+        const serveStatic = createStaticHandler({
+            maxAgeSeconds: 60,
+            mounts: [
+                { prefix: '/js/', dir: path.join(appDir, 'js'), extensions: ['.js'] },
+                { prefix: '/', dir: appDir, files: ['index.html', 'style.css'], extensions: ['.wasm'], recursive: false }
+            ]
+        });
+        
+        server = http.createServer((req, res) => {
+            if (!serveStatic(req, res)) {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+    
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+    
+    // Sends `requestPath` exactly as written: fetch() would resolve `..`
+    // segments before they reach the server
+    function request(requestPath, { method = 'GET', headers = {} } = {}) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port, path: requestPath, method, headers }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    }
+    
+    test('serves allowlisted files with their MIME type and cache policy', async () => {
+        const page = await request('/');
+        assert.equal(page.status, 200);
+        assert.equal(page.headers['content-type'], 'text/html; charset=utf-8');
+        assert.equal(page.headers['cache-control'], 'no-cache');
+        assert.equal(page.headers['x-content-type-options'], 'nosniff');
+        assert.equal(page.body.toString(), '<!doctype html>');
+        
+        const wasm = await request('/model.wasm');
+        assert.equal(wasm.status, 200);
+        assert.equal(wasm.headers['content-type'], 'application/wasm');
+        assert.equal(wasm.headers['cache-control'], 'public, max-age=60');
+        assert.equal(wasm.body.length, 8);
+        
+        const nested = await request('/js/services/sttService.js');
+        assert.equal(nested.status, 200);
+        assert.equal(nested.headers['content-type'], 'text/javascript; charset=utf-8');
+    });
+    
+    test('refuses paths that climb out of a mount, however they are encoded', async () => {
+        for (const requestPath of [
+            '/js/../service-account.json',
+            '/js/%2e%2e/service-account.json',
+            '/js/%2E%2E%2Fservice-account.json',
+            '/js/..%2f..%2foutside.js',
+            '/js/%2e%2e%2f%2e%2e%2foutside.js',
+            '/js/services/..%5c..%5c..%5coutside.js',
+            '/..%2foutside.js'
+        ]) {
+            const response = await request(requestPath);
+            assert.equal(response.status, 404, requestPath);
+        }
+    });
+    
+    test('never serves dotfiles', async () => {
+        for (const requestPath of ['/.env', '/%2eenv', '/js/.hidden.js', '/js/%2ehidden.js']) {
+            const response = await request(requestPath);
+            assert.equal(response.status, 404, requestPath);
+        }
+    });
+    
+    test('only serves files a mount allows', async () => {
+        // Present on disk but neither listed nor an allowed extension
+        assert.equal((await request('/service-account.json')).status, 404);
+        // An allowed extension, but the root mount is not recursive
+        assert.equal((await request('/nested/model.wasm')).status, 404);
+        // Mounted directory itself and a missing file
+        assert.equal((await request('/js/')).status, 404);
+        assert.equal((await request('/js/missing.js')).status, 404);
+        // Only GET and HEAD
+        assert.equal((await request('/style.css', { method: 'POST' })).status, 404);
+    });
+    
+    test('rejects paths that do not decode', async () => {
+        assert.equal((await request('/js/%E0%A4%A.js')).status, 400);
+        assert.equal((await request('/js/main%00.js')).status, 400);
+    });
+    
+    test('answers conditional requests with 304 when the file is unchanged', async () => {
+        const first = await request('/js/main.js');
+        const { etag } = first.headers;
+        assert.match(etag, /^W\/"[0-9a-f]+-[0-9a-f]+"$/);
+        
+        const byTag = await request('/js/main.js', { headers: { 'If-None-Match': `"other", ${etag}` } });
+        assert.equal(byTag.status, 304);
+        assert.equal(byTag.body.length, 0);
+        assert.equal(byTag.headers.etag, etag);
+        
+        const byDate = await request('/js/main.js', { headers: { 'If-Modified-Since': first.headers['last-modified'] } });
+        assert.equal(byDate.status, 304);
+        
+        const stale = await request('/js/main.js', { headers: { 'If-None-Match': '"other"' } });
+        assert.equal(stale.status, 200);
+        assert.equal(stale.body.toString(), '0123456789');
+    });
+    
+    test('answers HEAD with the headers and no body', async () => {
+        const response = await request('/js/main.js', { method: 'HEAD' });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['content-length'], '10');
+        assert.equal(response.body.length, 0);
+    });
+    
+    test('serves byte ranges', async () => {
+        const range = await request('/js/main.js', { headers: { Range: 'bytes=2-5' } });
+        assert.equal(range.status, 206);
+        assert.equal(range.headers['content-range'], 'bytes 2-5/10');
+        assert.equal(range.body.toString(), '2345');
+        
+        const openEnded = await request('/js/main.js', { headers: { Range: 'bytes=7-' } });
+        assert.equal(openEnded.status, 206);
+        assert.equal(openEnded.body.toString(), '789');
+        
+        const clamped = await request('/js/main.js', { headers: { Range: 'bytes=8-100' } });
+        assert.equal(clamped.status, 206);
+        assert.equal(clamped.headers['content-range'], 'bytes 8-9/10');
+    });
+    
+    test('serves suffix ranges from the end of the file', async () => {
+        const suffix = await request('/js/main.js', { headers: { Range: 'bytes=-3' } });
+        assert.equal(suffix.status, 206);
+        assert.equal(suffix.headers['content-range'], 'bytes 7-9/10');
+        assert.equal(suffix.body.toString(), '789');
+        
+        const longerThanFile = await request('/js/main.js', { headers: { Range: 'bytes=-50' } });
+        assert.equal(longerThanFile.status, 206);
+        assert.equal(longerThanFile.body.toString(), '0123456789');
+    });
+    
+    test('answers unsatisfiable ranges with 416', async () => {
+        for (const header of ['bytes=10-', 'bytes=20-30', 'bytes=5-2', 'bytes=-0']) {
+            const response = await request('/js/main.js', { headers: { Range: header } });
+            assert.equal(response.status, 416, header);
+            assert.equal(response.headers['content-range'], 'bytes */10');
+        }
+    });
+    
+    test('ignores malformed and multi-part ranges', async () => {
+        for (const header of ['bytes=0-1,4-5', 'items=0-1', 'bytes=-', 'bytes=a-b']) {
+            const response = await request('/js/main.js', { headers: { Range: header } });
+            assert.equal(response.status, 200, header);
+            assert.equal(response.body.toString(), '0123456789');
+        }
+    });
+    
+    test('honours If-Range only while the ETag still matches', async () => {
+        const { etag } = (await request('/js/main.js')).headers;
+        
+        const current = await request('/js/main.js', { headers: { Range: 'bytes=0-1', 'If-Range': etag } });
+        assert.equal(current.status, 206);
+        assert.equal(current.body.toString(), '01');
+        
+        const changed = await request('/js/main.js', { headers: { Range: 'bytes=0-1', 'If-Range': 'W/"0-0"' } });
+        assert.equal(changed.status, 200);
+        assert.equal(changed.body.toString(), '0123456789');
+    });
+});
@@ -0,0 +1,167 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPipeline, tone } from './support/harness.js';
+
+describe('STT through the proxy', () => {
+    let pipeline;
+    let session;
+    
+    before(async () => {
+        pipeline = await startPipeline({ env: { STT_TIMEOUT_MS: '500' } });
+        session = await pipeline.openSession();
+    });
+    
+    after(async () => {
+        session?.close();
+        await pipeline?.stop();
+    });
+    
+    test('returns the transcript and uploads the turn\'s audio', async () => {
+        await pipeline.script({ stt: 'ok' });
+        
+        const message = await session.transcribe(tone(), { turnId: 'stt-ok', language: 'en' });
+        
+        assert.equal(message.type, 'transcript');
+        assert.equal(message.text, 'what is qplus');
+        assert.equal(message.turnId, 'stt-ok');
+        
+        const [upload] = await pipeline.requests('stt');
+        assert.equal(upload.outcome, 'ok');
+        assert.equal(upload.format, 'flac');
+        assert.equal(upload.language, 'en');
+    });
+    
+    test('asks for plain json transcripts unless verbose_json is configured', async () => {
+        await pipeline.script({ stt: 'ok' });
+        
+        const message = await session.transcribe(tone(), { turnId: 'stt-json' });
+        
+        assert.equal(message.text, 'what is qplus');
+        assert.equal(message.segments, undefined);
+        assert.equal(message.words, undefined);
+        
+        const [upload] = await pipeline.requests('stt');
+        assert.equal(upload.responseFormat, 'json');
+    });
+    
+    test('reports a 5xx from the provider as UPSTREAM_UNAVAILABLE', async () => {
+        await pipeline.script({ stt: '503' });
+        
+        const message = await session.transcribe(tone(), { turnId: 'stt-503' });
+        
+        assert.equal(message.type, 'error');
+        assert.equal(message.code, 'UPSTREAM_UNAVAILABLE');
+        assert.equal(message.retryable, true);
+        assert.equal(message.turnId, 'stt-503');
+        // Not the provider's error text, which quotes its response body
+        assert.equal(message.message, 'The speech provider is unavailable');
+    });
+    
+    test('reports a malformed response body as UPSTREAM_ERROR', async () => {
+        await pipeline.script({ stt: 'malformed' });
+        
+        const message = await session.transcribe(tone(), { turnId: 'stt-malformed' });
+        
+        assert.equal(message.type, 'error');
+        assert.equal(message.code, 'UPSTREAM_ERROR');
+        assert.equal(message.message, 'The speech provider request failed');
+    });
+    
+    test('gives up on a provider that never answers after STT_TIMEOUT_MS', async () => {
+        await pipeline.script({ stt: 'hang' });
+        
+        const startTime = Date.now();
+        const message = await session.transcribe(tone(), { turnId: 'stt-hang' });
+        
+        assert.equal(message.type, 'error');
+        assert.equal(message.code, 'UPSTREAM_TIMEOUT');
+        assert.ok(Date.now() - startTime < 3000, 'the timeout fired well before the test gave up');
+    });
+    
+    test('recovers on the next turn after a failure', async () => {
+        await pipeline.script({ stt: '503,ok' });
+        
+        assert.equal((await session.transcribe(tone(), { turnId: 'stt-fail' })).type, 'error');
+        assert.equal((await session.transcribe(tone(), { turnId: 'stt-recover' })).text, 'what is qplus');
+    });
+    
+    test('refuses a model that is not offered with BAD_OPTIONS', async () => {
+        await pipeline.script({ stt: 'ok' });
+        
+        session.send('stt', { type: 'start', turnId: 'stt-model', model: 'not-a-model' });
+        const message = await session.next('stt', 'error');
+        
+        assert.equal(message.code, 'BAD_OPTIONS');
+        assert.deepEqual(await pipeline.requests('stt'), []);
+    });
+    
+    test('drops a refused turn\'s audio and keeps earlier audio out of the next turn', async () => {
+        await pipeline.script({ stt: 'ok' });
+        await session.transcribe(tone(0.5), { turnId: 'stt-baseline' });
+        const [baseline] = await pipeline.requests('stt');
+        
+        // A turn abandoned without asking for its transcript
+        await pipeline.script({ stt: 'ok' });
+        session.send('stt', { type: 'start', turnId: 'stt-abandoned' });
+        await session.next('stt', 'ready');
+        session.sendAudio(tone(1));
+        
+        session.send('stt', { type: 'start', turnId: 'stt-refused', model: 'not-a-model' });
+        assert.equal((await session.next('stt', 'error')).code, 'BAD_OPTIONS');
+        session.sendAudio(tone(1));
+        session.send('stt', { type: 'transcribe', turnId: 'stt-refused' });
+        
+        const refused = await session.next('stt', ['transcript', 'error']);
+        assert.equal(refused.code, 'BAD_OPTIONS');
+        assert.equal(refused.turnId, 'stt-refused');
+        assert.deepEqual(await pipeline.requests('stt'), []);
+        
+        const message = await session.transcribe(tone(0.5), { turnId: 'stt-after-refusal' });
+        assert.equal(message.type, 'transcript');
+        
+        const [upload] = await pipeline.requests('stt');
+        assert.equal(upload.audioBytes, baseline.audioBytes);
+        assert.equal(upload.model, baseline.model);
+    });
+});
+
+describe('Detailed STT transcripts (STT_RESPONSE_FORMAT=verbose_json)', () => {
+    let pipeline;
+    let session;
+    
+    before(async () => {
+        pipeline = await startPipeline({
+            transcripts: ['what is qplus', '[Thank you.]'],
+            env: { STT_RESPONSE_FORMAT: 'verbose_json' }
+        });
+        session = await pipeline.openSession();
+    });
+    
+    after(async () => {
+        session?.close();
+        await pipeline?.stop();
+    });
+    
+    test('carries segments and words with timestamps and confidence', async () => {
+        await pipeline.script({ stt: 'ok' });
+        
+        const message = await session.transcribe(tone(), { turnId: 'stt-verbose' });
+        
+        assert.equal(message.text, 'what is qplus');
+        assert.equal(message.segments.length, 1);
+        assert.equal(message.segments[0].noSpeechProb, 0.01);
+        assert.deepEqual(message.words.map(word => word.word), ['what', 'is', 'qplus']);
+        assert.deepEqual(message.words[2], { word: 'qplus', start: 0.8, end: 1.15, confidence: 0.887 });
+        
+        const [upload] = await pipeline.requests('stt');
+        assert.equal(upload.responseFormat, 'verbose_json');
+    });
+    
+    test('scores a hallucination on silence as unlikely speech', async () => {
+        const message = await session.transcribe(tone(), { turnId: 'stt-hallucination' });
+        
+        assert.equal(message.text, 'Thank you.');
+        assert.ok(message.segments[0].noSpeechProb > 0.6);
+        assert.ok(message.segments[0].confidence < 0.37);
+    });
+});
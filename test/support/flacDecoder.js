@@ -0,0 +1,348 @@
+import crypto from 'crypto';
+
+/**
+ * Minimal FLAC decoder written from the format specification, to check the
+ * proxy's encoder independently of it. Checks every CRC, the STREAMINFO
+ * sample count and MD5, and the reserved bits; throws on anything it does
+ * not support (LPC subframes, wasted bits, stereo) rather than guessing.
+ * Returns the decoded samples and the parsed STREAMINFO.
+ */
+export function decodeFlac(data) {
+    const reader = new BitReader(data);
+    
+    if (data.subarray(0, 4).toString('ascii') !== 'fLaC') {
+        throw new Error('Missing fLaC marker');
+    }
+    reader.skipBytes(4);
+    
+    let streamInfo = null;
+    let last = false;
+    while (!last) {
+        last = reader.read(1) === 1;
+        const type = reader.read(7);
+        const length = reader.read(24);
+        
+        if (type === 0) {
+            streamInfo = readStreamInfo(reader, length);
+        } else {
+            reader.skipBytes(length);
+        }
+    }
+    
+    if (!streamInfo) {
+        throw new Error('Missing STREAMINFO');
+    }
+    
+    const samples = [];
+    let frameNumber = 0;
+    while (reader.bytePosition < data.length) {
+        const block = readFrame(reader, data, streamInfo, frameNumber++);
+        for (const sample of block) {
+            samples.push(sample);
+        }
+    }
+    
+    if (samples.length !== streamInfo.totalSamples) {
+        throw new Error(`STREAMINFO says ${streamInfo.totalSamples} samples, decoded ${samples.length}`);
+    }
+    
+    const pcm = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => pcm.writeInt16LE(sample, i * 2));
+    
+    if (!crypto.createHash('md5').update(pcm).digest().equals(streamInfo.md5)) {
+        throw new Error('MD5 of the decoded samples does not match STREAMINFO');
+    }
+    
+    return { samples: Int16Array.from(samples), pcm, streamInfo };
+}
+
+function readStreamInfo(reader, length) {
+    if (length !== 34) {
+        throw new Error(`STREAMINFO is ${length} bytes, expected 34`);
+    }
+    
+    return {
+        minBlockSize: reader.read(16),
+        maxBlockSize: reader.read(16),
+        minFrameSize: reader.read(24),
+        maxFrameSize: reader.read(24),
+        sampleRate: reader.read(20),
+        channels: reader.read(3) + 1,
+        bitsPerSample: reader.read(5) + 1,
+        totalSamples: reader.read(36),
+        md5: reader.readBytes(16)
+    };
+}
+
+function readFrame(reader, data, streamInfo, expectedFrameNumber) {
+    const frameStart = reader.bytePosition;
+    
+    if (reader.read(14) !== 0b11111111111110) {
+        throw new Error(`No frame sync code at byte ${frameStart}`);
+    }
+    expectZero(reader.read(1), 'reserved bit after the sync code');
+    expectZero(reader.read(1), 'blocking strategy (only fixed block sizes)');
+    
+    const blockSizeCode = reader.read(4);
+    const sampleRateCode = reader.read(4);
+    const channelCode = reader.read(4);
+    const sampleSizeCode = reader.read(3);
+    expectZero(reader.read(1), 'reserved bit after the sample size');
+    
+    const frameNumber = readUtf8Number(reader);
+    if (frameNumber !== expectedFrameNumber) {
+        throw new Error(`Frame number ${frameNumber}, expected ${expectedFrameNumber}`);
+    }
+    
+    const blockSize = readBlockSize(reader, blockSizeCode);
+    if (sampleRateCode !== 0) {
+        throw new Error(`Unsupported sample rate code ${sampleRateCode}`);
+    }
+    if (channelCode !== 0 || streamInfo.channels !== 1) {
+        throw new Error('Only mono streams are supported');
+    }
+    if (sampleSizeCode !== 0b100 && sampleSizeCode !== 0) {
+        throw new Error(`Unsupported sample size code ${sampleSizeCode}`);
+    }
+    if (blockSize > streamInfo.maxBlockSize) {
+        throw new Error(`Block of ${blockSize} samples exceeds STREAMINFO's ${streamInfo.maxBlockSize}`);
+    }
+    
+    const headerCrc = crc8(data.subarray(frameStart, reader.bytePosition));
+    if (reader.read(8) !== headerCrc) {
+        throw new Error(`Frame ${frameNumber}: header CRC-8 mismatch`);
+    }
+    
+    const block = readSubframe(reader, blockSize, streamInfo.bitsPerSample);
+    
+    reader.alignToByte();
+    const frameCrc = crc16(data.subarray(frameStart, reader.bytePosition));
+    if (reader.read(16) !== frameCrc) {
+        throw new Error(`Frame ${frameNumber}: CRC-16 mismatch`);
+    }
+    
+    return block;
+}
+
+function readBlockSize(reader, code) {
+    if (code === 1) {
+        return 192;
+    }
+    if (code >= 2 && code <= 5) {
+        return 576 << (code - 2);
+    }
+    if (code === 6) {
+        return reader.read(8) + 1;
+    }
+    if (code === 7) {
+        return reader.read(16) + 1;
+    }
+    if (code >= 8) {
+        return 256 << (code - 8);
+    }
+    throw new Error('Reserved block size code 0');
+}
+
+function readSubframe(reader, blockSize, bitsPerSample) {
+    expectZero(reader.read(1), 'subframe padding bit');
+    const type = reader.read(6);
+    expectZero(reader.read(1), 'wasted bits flag');
+    
+    if (type === 0) {
+        return new Int32Array(blockSize).fill(reader.readSigned(bitsPerSample));
+    }
+    
+    if (type === 1) {
+        const block = new Int32Array(blockSize);
+        for (let i = 0; i < blockSize; i++) {
+            block[i] = reader.readSigned(bitsPerSample);
+        }
+        return block;
+    }
+    
+    if (type >= 8 && type <= 12) {
+        const order = type - 8;
+        const block = new Int32Array(blockSize);
+        for (let i = 0; i < order; i++) {
+            block[i] = reader.readSigned(bitsPerSample);
+        }
+        
+        const residual = readResidual(reader, blockSize, order);
+        for (let i = order; i < blockSize; i++) {
+            block[i] = residual[i - order] + predict(block, i, order);
+        }
+        return block;
+    }
+    
+    throw new Error(`Unsupported subframe type ${type}`);
+}
+
+// The fixed predictors of the specification
+function predict(block, i, order) {
+    switch (order) {
+        case 0:
+            return 0;
+        case 1:
+            return block[i - 1];
+        case 2:
+            return 2 * block[i - 1] - block[i - 2];
+        case 3:
+            return 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3];
+        default:
+            return 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+    }
+}
+
+function readResidual(reader, blockSize, order) {
+    const method = reader.read(2);
+    if (method > 1) {
+        throw new Error(`Reserved residual coding method ${method}`);
+    }
+    
+    const parameterBits = method === 0 ? 4 : 5;
+    const escape = (1 << parameterBits) - 1;
+    const partitionOrder = reader.read(4);
+    const partitionCount = 1 << partitionOrder;
+    
+    if (blockSize % partitionCount !== 0 || (blockSize >> partitionOrder) < order) {
+        throw new Error(`Partition order ${partitionOrder} does not fit a block of ${blockSize}`);
+    }
+    
+    const residual = [];
+    for (let partition = 0; partition < partitionCount; partition++) {
+        const count = (blockSize >> partitionOrder) - (partition === 0 ? order : 0);
+        const parameter = reader.read(parameterBits);
+        
+        if (parameter === escape) {
+            const bits = reader.read(5);
+            for (let i = 0; i < count; i++) {
+                residual.push(bits === 0 ? 0 : reader.readSigned(bits));
+            }
+            continue;
+        }
+        
+        for (let i = 0; i < count; i++) {
+            const unsigned = reader.readUnary() * 2 ** parameter + reader.read(parameter);
+            residual.push(unsigned % 2 === 0 ? unsigned / 2 : -(unsigned + 1) / 2);
+        }
+    }
+    
+    return residual;
+}
+
+function readUtf8Number(reader) {
+    const first = reader.read(8);
+    if (first < 0x80) {
+        return first;
+    }
+    
+    let extraBytes = 0;
+    let mask = 0x40;
+    while (first & mask) {
+        extraBytes++;
+        mask >>= 1;
+    }
+    if (extraBytes === 0 || extraBytes > 6) {
+        throw new Error(`Invalid frame number lead byte ${first}`);
+    }
+    
+    let value = first & (mask - 1);
+    for (let i = 0; i < extraBytes; i++) {
+        const next = reader.read(8);
+        if ((next & 0xc0) !== 0x80) {
+            throw new Error(`Invalid frame number continuation byte ${next}`);
+        }
+        value = value * 64 + (next & 0x3f);
+    }
+    return value;
+}
+
+function expectZero(value, what) {
+    if (value !== 0) {
+        throw new Error(`Expected 0 for the ${what}`);
+    }
+}
+
+// Bit by bit rather than table-driven, so it shares nothing with the encoder
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+    }
+    return crc;
+}
+
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+class BitReader {
+    constructor(data) {
+        this.data = data;
+        this.bitPosition = 0;
+    }
+    
+
+    get bytePosition() {
+        return Math.ceil(this.bitPosition / 8);
+    }
+    
+
+    read(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const byte = this.data[this.bitPosition >> 3];
+            if (byte === undefined) {
+                throw new Error('Unexpected end of stream');
+            }
+            value = value * 2 + ((byte >> (7 - (this.bitPosition & 7))) & 1);
+            this.bitPosition++;
+        }
+        return value;
+    }
+    
+
+    readSigned(count) {
+        const value = this.read(count);
+        return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+    }
+    
+
+    // Zero bits before the next one
+    readUnary() {
+        let zeros = 0;
+        while (this.read(1) === 0) {
+            zeros++;
+        }
+        return zeros;
+    }
+    
+
+    readBytes(count) {
+        const bytes = Buffer.alloc(count);
+        for (let i = 0; i < count; i++) {
+            bytes[i] = this.read(8);
+        }
+        return bytes;
+    }
+    
+
+    skipBytes(count) {
+        this.bitPosition += count * 8;
+    }
+    
+
+    alignToByte() {
+        this.bitPosition = this.bytePosition * 8;
+    }
+}
@@ -0,0 +1,286 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { createMockGroqServer } from '../../server/mocks/groqServer.js';
+import { createMockGoogleTTSServer } from '../../server/mocks/googleTTSServer.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const STARTUP_TIMEOUT_MS = 10000;
+
+/**
+ * Runs the real proxy (`proxy_server.js`, as a child process) against the
+ * in-process mock Groq and Google servers. Retries and the circuit breaker
+ * are set so every provider call consumes exactly one scripted outcome.
+ * The proxy sees only the settings below: not the developer's `.env`, nor
+ * the shell's environment beyond PATH.
+ *
+ *   const pipeline = await startPipeline({ env: { STT_TIMEOUT_MS: '500' } });
+ *   await pipeline.script({ stt: 'hang' });
+ *   const session = await pipeline.openSession();
+ *   ...
+ *   await pipeline.stop();
+ */
+export async function startPipeline({ transcripts = ['what is qplus'], env = {} } = {}) {
+    const stt = await listen(createMockGroqServer({ transcripts }));
+    const tts = await listen(createMockGoogleTTSServer());
+    
+    const proxy = spawn(process.execPath, ['proxy_server.js', '--no-env-file'], {
+        cwd: ROOT,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: {
+            PATH: process.env.PATH,
+            PORT: '0',
+            HOST: '127.0.0.1',
+            LOG_FORMAT: 'json',
+            LOG_LEVEL: 'info',
+            SESSION_SECRET: 'test-secret-that-is-at-least-32-characters',
+            PICOVOICE_ACCESS_KEY: 'unused',
+            STT_PROVIDER: 'groq',
+            STT_BASE_URL: `${stt.url}/openai/v1`,
+            GROQ_API_KEY: 'mock',
+            TTS_PROVIDER: 'google',
+            TTS_BASE_URL: tts.url,
+            TTS_CACHE: 'false',
+            STT_PARTIALS: 'false',
+            STT_VAD: 'false',
+            RECORDING_ENABLED: 'false',
+            UPSTREAM_RETRIES: '0',
+            CIRCUIT_BREAKER_THRESHOLD: '1000',
+            SHUTDOWN_TIMEOUT_MS: '1000',
+            ...env
+        }
+    });
+    
+    let url;
+    try {
+        url = await waitForListening(proxy);
+    } catch (error) {
+        proxy.kill();
+        stt.server.close();
+        tts.server.close();
+        throw error;
+    }
+    
+    return {
+        url,
+        
+        // Replaces the outcome scripts and clears what the mocks received
+        async script({ stt: sttOutcomes = 'ok', tts: ttsOutcomes = 'ok' } = {}) {
+            await reset(stt.url, sttOutcomes);
+            await reset(tts.url, ttsOutcomes);
+        },
+        
+        async requests(service) {
+            const response = await fetch(`${service === 'stt' ? stt.url : tts.url}/mock/requests`);
+            return (await response.json()).requests;
+        },
+        
+        openSession() {
+            return openSession(url);
+        },
+        
+        async stop() {
+            if (proxy.exitCode === null) {
+                const exited = new Promise(resolve => proxy.once('exit', resolve));
+                proxy.kill('SIGTERM');
+                await exited;
+            }
+            
+            for (const { server } of [stt, tts]) {
+                server.closeAllConnections();
+                await new Promise(resolve => server.close(resolve));
+            }
+        }
+    };
+}
+
+/**
+ * A page's session socket: token from `/session`, then `?service=session`
+ * with binary audio frames. Messages are kept so tests can wait for them.
+ */
+async function openSession(baseUrl) {
+    const response = await fetch(`${baseUrl}/session`, { method: 'POST', headers: { Origin: baseUrl } });
+    const { token, sessionId } = await response.json();
+    
+    const wsUrl = new URL(baseUrl.replace(/^http/, 'ws'));
+    wsUrl.searchParams.set('service', 'session');
+    wsUrl.searchParams.set('token', token);
+    
+    const ws = new WebSocket(wsUrl, { origin: baseUrl });
+    const session = new SessionClient(ws);
+    
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    
+    session.send('session', { type: 'start', protocol: 2, audioFrames: 'binary', sessionId });
+    await session.next('session', 'ready');
+    return session;
+}
+
+class SessionClient {
+    constructor(ws) {
+        this.ws = ws;
+        this.messages = [];
+        this.audioFrames = [];
+        this.waiters = [];
+        
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                this.audioFrames.push(Buffer.from(data));
+                return;
+            }
+            
+            this.messages.push(JSON.parse(data));
+            this.waiters = this.waiters.filter(waiter => !waiter());
+        });
+    }
+    
+
+    send(channel, message) {
+        this.ws.send(JSON.stringify({ v: 1, channel, ...message }));
+    }
+    
+
+    sendAudio(pcm) {
+        this.ws.send(pcm);
+    }
+    
+
+    // Resolves with the first message on `channel` of one of `types` that
+    // arrived after the previous one returned
+    next(channel, types, timeoutMs = 5000) {
+        const wanted = [].concat(types);
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`No ${channel} ${wanted.join('/')} message within ${timeoutMs}ms`));
+            }, timeoutMs);
+            
+            const check = () => {
+                const index = this.messages.findIndex(message => message.channel === channel && wanted.includes(message.type));
+                if (index === -1) {
+                    return false;
+                }
+                
+                const [message] = this.messages.splice(index, 1);
+                clearTimeout(timer);
+                resolve(message);
+                return true;
+            };
+            
+            if (!check()) {
+                this.waiters.push(check);
+            }
+        });
+    }
+    
+
+    // One STT turn: start, stream `pcm`, ask for the transcript. Resolves
+    // with the `transcript` or `error` message.
+    async transcribe(pcm, { turnId = 'turn-stt', ...options } = {}) {
+        this.send('stt', { type: 'start', turnId, ...options });
+        await this.next('stt', 'ready');
+        
+        this.sendAudio(pcm);
+        this.send('stt', { type: 'transcribe', turnId });
+        return this.next('stt', ['transcript', 'error']);
+    }
+    
+
+    // One TTS turn. Resolves with the `done` or `error` message and the
+    // audio received before it.
+    async speak(text, { turnId = 'turn-tts', ...options } = {}) {
+        this.audioFrames = [];
+        this.send('tts', { type: 'speak', text, turnId, ...options });
+        
+        const message = await this.next('tts', ['done', 'error']);
+        return { message, audioBytes: this.audioFrames.reduce((total, frame) => total + frame.length, 0) };
+    }
+    
+
+    close() {
+        this.ws.close();
+    }
+}
+
+// `seconds` of 16 kHz LINEAR16 holding a 440 Hz tone
+export function tone(seconds = 1) {
+    const samples = Math.round(16000 * seconds);
+    const pcm = Buffer.alloc(samples * 2);
+    
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / 16000) * 8000), i * 2);
+    }
+    return pcm;
+}
+
+function listen(server) {
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+async function reset(baseUrl, outcomes) {
+    const response = await fetch(`${baseUrl}/mock/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outcomes })
+    });
+    if (!response.ok) {
+        throw new Error(`Mock reset failed: HTTP ${response.status}`);
+    }
+}
+
+// The proxy logs its address once it listens; anything on stderr before
+// that (a config error) is the reason it did not
+function waitForListening(proxy) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+        let errors = '';
+        let url = null;
+        
+        const timer = setTimeout(() => {
+            reject(new Error(`Proxy did not start within ${STARTUP_TIMEOUT_MS}ms\n${errors}`));
+        }, STARTUP_TIMEOUT_MS);
+        
+        proxy.stderr.on('data', (chunk) => {
+            errors += chunk;
+        });
+        
+        proxy.stdout.on('data', (chunk) => {
+            // Still drained once started, or the proxy would block on a full pipe
+            if (url) {
+                return;
+            }
+            output += chunk;
+            
+            for (const line of output.split('\n')) {
+                const entry = parseLine(line);
+                if (entry?.msg === 'WebSocket proxy listening') {
+                    clearTimeout(timer);
+                    url = entry.url.replace(/^ws/, 'http');
+                    resolve(url);
+                    return;
+                }
+            }
+        });
+        
+        proxy.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Proxy exited with code ${code}\n${errors}`));
+        });
+    });
+}
+
+function parseLine(line) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+}
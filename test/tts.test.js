@@ -0,0 +1,90 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startPipeline } from './support/harness.js';
+
+describe('TTS through the proxy', () => {
+    let pipeline;
+    let session;
+    
+    before(async () => {
+        pipeline = await startPipeline({ env: { TTS_TIMEOUT_MS: '500', TTS_PIPELINE: 'false' } });
+        session = await pipeline.openSession();
+    });
+    
+    after(async () => {
+        session?.close();
+        await pipeline?.stop();
+    });
+    
+    test('streams the synthesized audio, then done', async () => {
+        await pipeline.script({ tts: 'ok' });
+        
+        const { message, audioBytes } = await session.speak('Hello there.', { turnId: 'tts-ok' });
+        
+        assert.equal(message.type, 'done');
+        assert.equal(message.turnId, 'tts-ok');
+        assert.ok(audioBytes > 0, 'audio frames arrived before done');
+        
+        const [request] = await pipeline.requests('tts');
+        assert.equal(request.text, 'Hello there.');
+        assert.equal(request.voice, 'en-US-Standard-F');
+    });
+    
+    test('synthesizes sentence by sentence when pipelined', async () => {
+        const pipelined = await startPipeline({ env: { TTS_PIPELINE: 'true' } });
+        const pipelinedSession = await pipelined.openSession();
+        
+        try {
+            const { message } = await pipelinedSession.speak('The first sentence is here. The second sentence follows it.');
+            
+            assert.equal(message.type, 'done');
+            assert.deepEqual((await pipelined.requests('tts')).filter(request => request.text).map(request => request.text), [
+                'The first sentence is here.',
+                'The second sentence follows it.'
+            ]);
+        } finally {
+            pipelinedSession.close();
+            await pipelined.stop();
+        }
+    });
+    
+    test('reports a 5xx from the provider as UPSTREAM_UNAVAILABLE', async () => {
+        await pipeline.script({ tts: '503' });
+        
+        const { message, audioBytes } = await session.speak('Hello there.', { turnId: 'tts-503' });
+        
+        assert.equal(message.type, 'error');
+        assert.equal(message.code, 'UPSTREAM_UNAVAILABLE');
+        assert.equal(message.turnId, 'tts-503');
+        assert.equal(audioBytes, 0);
+    });
+    
+    test('reports a malformed response body as an error', async () => {
+        await pipeline.script({ tts: 'malformed' });
+        
+        const { message } = await session.speak('Hello there.', { turnId: 'tts-malformed' });
+        
+        assert.equal(message.type, 'error');
+        assert.equal(message.code, 'UPSTREAM_ERROR');
+    });
+    
+    test('gives up on a provider that never answers after TTS_TIMEOUT_MS', async () => {
+        await pipeline.script({ tts: 'hang' });
+        
+        const startTime = Date.now();
+        const { message } = await session.speak('Hello there.', { turnId: 'tts-hang' });
+        
+        assert.equal(message.type, 'error');
+        assert.equal(message.code, 'UPSTREAM_TIMEOUT');
+        assert.ok(Date.now() - startTime < 3000, 'the timeout fired well before the test gave up');
+    });
+    
+    test('refuses a voice that is not offered with BAD_OPTIONS', async () => {
+        await pipeline.script({ tts: 'ok' });
+        
+        const { message } = await session.speak('Hello there.', { voice: { name: 'en-GB-Standard-A' } });
+        
+        assert.equal(message.code, 'BAD_OPTIONS');
+        assert.deepEqual(await pipeline.requests('tts'), []);
+    });
+});
@@ -0,0 +1,91 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TTSCache from '../server/tts/ttsCache.js';
+
+function audio(bytes, fill = 1) {
+    return Buffer.alloc(bytes, fill);
+}
+
+function files(dir) {
+    return fs.readdirSync(dir).sort();
+}
+
+// Evicted files are unlinked in the background
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+describe('TTS cache on disk', () => {
+    let tmpDir;
+    
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+    });
+    
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+    
+    test('serves a memory miss from the disk copy', async () => {
+        const dir = path.join(tmpDir, 'reload');
+        await new TTSCache({ dir }).set('a', audio(100));
+        
+        const restarted = new TTSCache({ dir });
+        assert.equal(await restarted.has('a'), true);
+        assert.deepEqual(await restarted.get('a'), audio(100));
+        assert.equal(restarted.getStats().diskHits, 1);
+    });
+    
+    test('deletes the least recently used files past maxDiskBytes', async () => {
+        const dir = path.join(tmpDir, 'evict');
+        const cache = new TTSCache({ dir, maxEntries: 1, maxDiskBytes: 300 });
+        
+        await cache.set('a', audio(100));
+        await cache.set('b', audio(100));
+        await cache.set('c', audio(100));
+        // Read back from disk: now more recent than b
+        assert.ok(await cache.get('a'));
+        
+        await cache.set('d', audio(100));
+        await settle();
+        
+        assert.deepEqual(files(dir), ['a.pcm', 'c.pcm', 'd.pcm']);
+        assert.equal(await cache.has('b'), false);
+        assert.equal(await cache.get('b'), null);
+        
+        const stats = cache.getStats();
+        assert.equal(stats.diskEntries, 3);
+        assert.equal(stats.diskBytes, 300);
+        assert.equal(stats.diskEvictions, 1);
+    });
+    
+    test('trims what a previous run left, oldest first', async () => {
+        const dir = path.join(tmpDir, 'restart');
+        fs.mkdirSync(dir);
+        
+        const now = Date.now() / 1000;
+        for (const [key, age] of [['old', 30], ['middle', 20], ['new', 10]]) {
+            fs.writeFileSync(path.join(dir, `${key}.pcm`), audio(100));
+            fs.utimesSync(path.join(dir, `${key}.pcm`), now - age, now - age);
+        }
+        
+        const cache = new TTSCache({ dir, maxDiskBytes: 200 });
+        await settle();
+        
+        assert.deepEqual(files(dir), ['middle.pcm', 'new.pcm']);
+        assert.equal(cache.getStats().diskBytes, 200);
+    });
+    
+    test('does not write audio larger than the disk cap', async () => {
+        const dir = path.join(tmpDir, 'too-large');
+        const cache = new TTSCache({ dir, maxDiskBytes: 50 });
+        
+        await cache.set('a', audio(100));
+        
+        assert.deepEqual(files(dir), []);
+        assert.deepEqual(await cache.get('a'), audio(100));
+    });
+});